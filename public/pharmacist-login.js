@@ -0,0 +1,179 @@
+const loginSubtitle = document.getElementById("loginSubtitle");
+const loginForm = document.getElementById("loginForm");
+const loginUsername = document.getElementById("loginUsername");
+const loginPassword = document.getElementById("loginPassword");
+const totpForm = document.getElementById("totpForm");
+const totpCode = document.getElementById("totpCode");
+const enrollForm = document.getElementById("enrollForm");
+const enrollQr = document.getElementById("enrollQr");
+const enrollSecret = document.getElementById("enrollSecret");
+const enrollCode = document.getElementById("enrollCode");
+const recoveryPanel = document.getElementById("recoveryPanel");
+const recoveryCodes = document.getElementById("recoveryCodes");
+const recoveryDoneBtn = document.getElementById("recoveryDoneBtn");
+const loginError = document.getElementById("loginError");
+
+const authRequest = async (path, options = {}) => {
+  const response = await fetch(`/pharmacist/auth${path}`, {
+    headers: { "Content-Type": "application/json" },
+    ...options
+  });
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(payload.error || "Request failed.");
+  }
+  return payload;
+};
+
+const showError = (error) => {
+  loginError.textContent = error?.message || "Something went wrong.";
+  loginError.hidden = false;
+};
+
+const showStep = (step) => {
+  loginError.hidden = true;
+  loginForm.hidden = step !== "password";
+  totpForm.hidden = step !== "totp";
+  enrollForm.hidden = step !== "enroll";
+  recoveryPanel.hidden = step !== "recovery";
+  const subtitles = {
+    password: "Sign in with your console account.",
+    totp: "Enter the code from your authenticator app.",
+    enroll: "Set up two-factor sign-in.",
+    recovery: "Two-factor sign-in is on."
+  };
+  loginSubtitle.textContent = subtitles[step];
+};
+
+// Draws the QR modules as SVG rects, with a 4-module quiet zone, without going through innerHTML.
+const qrSvg = (qr, cellSize) => {
+  const svgNs = "http://www.w3.org/2000/svg";
+  const count = qr.getModuleCount();
+  const size = (count + 8) * cellSize;
+  const svg = document.createElementNS(svgNs, "svg");
+  svg.setAttribute("width", size);
+  svg.setAttribute("height", size);
+  svg.setAttribute("viewBox", `0 0 ${size} ${size}`);
+  svg.setAttribute("role", "img");
+  svg.setAttribute("aria-label", "QR code for the setup key");
+  const background = document.createElementNS(svgNs, "rect");
+  background.setAttribute("width", size);
+  background.setAttribute("height", size);
+  background.setAttribute("fill", "#fff");
+  svg.append(background);
+  for (let row = 0; row < count; row += 1) {
+    for (let col = 0; col < count; col += 1) {
+      if (!qr.isDark(row, col)) continue;
+      const cell = document.createElementNS(svgNs, "rect");
+      cell.setAttribute("x", (col + 4) * cellSize);
+      cell.setAttribute("y", (row + 4) * cellSize);
+      cell.setAttribute("width", cellSize);
+      cell.setAttribute("height", cellSize);
+      svg.append(cell);
+    }
+  }
+  return svg;
+};
+
+const startEnrollment = async () => {
+  showStep("enroll");
+  const { secret, otpauthUri } = await authRequest("/totp/enroll", { method: "POST", body: "{}" });
+  enrollSecret.value = secret;
+  enrollQr.replaceChildren();
+  if (typeof window.qrcode === "function") {
+    const qr = window.qrcode(0, "M");
+    qr.addData(otpauthUri);
+    qr.make();
+    enrollQr.append(qrSvg(qr, 4));
+  }
+};
+
+// Where the password step left us: straight into the console, or on to the second factor.
+const continueAfterPassword = async (pendingStep) => {
+  if (pendingStep === "totp") {
+    showStep("totp");
+    totpCode.focus();
+  } else if (pendingStep === "enroll") {
+    await startEnrollment();
+  } else {
+    window.location.href = "/pharmacist";
+  }
+};
+
+const withSubmitLock = (form, handler) => async (event) => {
+  event.preventDefault();
+  const submitBtn = form.querySelector("button[type=submit]");
+  submitBtn.disabled = true;
+  loginError.hidden = true;
+  try {
+    await handler();
+  } catch (error) {
+    showError(error);
+  } finally {
+    submitBtn.disabled = false;
+  }
+};
+
+loginForm.addEventListener(
+  "submit",
+  withSubmitLock(loginForm, async () => {
+    try {
+      const { pendingStep } = await authRequest("/login", {
+        method: "POST",
+        body: JSON.stringify({ username: loginUsername.value.trim(), password: loginPassword.value })
+      });
+      await continueAfterPassword(pendingStep);
+    } finally {
+      loginPassword.value = "";
+    }
+  })
+);
+
+totpForm.addEventListener(
+  "submit",
+  withSubmitLock(totpForm, async () => {
+    const value = totpCode.value.trim();
+    totpCode.value = "";
+    const body = /^\d{6}$/.test(value.replace(/\s/g, "")) ? { code: value } : { recoveryCode: value };
+    try {
+      const { recoveryCodesRemaining } = await authRequest("/totp", { method: "POST", body: JSON.stringify(body) });
+      if (Number.isFinite(recoveryCodesRemaining)) {
+        alert(`Recovery code used. ${recoveryCodesRemaining} left. Create new ones from the console if you are running low.`);
+      }
+      window.location.href = "/pharmacist";
+    } catch (error) {
+      if (/sign in first/i.test(error.message)) showStep("password");
+      throw error;
+    }
+  })
+);
+
+enrollForm.addEventListener(
+  "submit",
+  withSubmitLock(enrollForm, async () => {
+    const { recoveryCodes: codes } = await authRequest("/totp/enroll/confirm", {
+      method: "POST",
+      body: JSON.stringify({ code: enrollCode.value.trim() })
+    });
+    enrollCode.value = "";
+    recoveryCodes.textContent = codes.join("\n");
+    showStep("recovery");
+  })
+);
+
+recoveryDoneBtn.addEventListener("click", () => {
+  window.location.href = "/pharmacist";
+});
+
+authRequest("/status")
+  .then(async (status) => {
+    if (!status.signedIn) return showStep("password");
+    if (status.pendingStep) return continueAfterPassword(status.pendingStep);
+    // The console links here with #enroll when a signed-in pharmacist opts in to 2FA.
+    if (window.location.hash === "#enroll" && !status.totpEnabled) return startEnrollment();
+    window.location.href = "/pharmacist";
+  })
+  .catch((error) => {
+    showStep("password");
+    showError(error);
+  });
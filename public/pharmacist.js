@@ -13,14 +13,28 @@ const state = {
   isMuted: false,
   isOnHold: false,
   micReady: false,
-  hasPromptedNotificationPermission: false
+  hasPromptedNotificationPermission: false,
+  activeTab: "triage",
+  analyticsLoaded: false,
+  reviews: [],
+  olderReviews: [],
+  reviewsCursor: null,
+  activeReviewId: null,
+  me: null,
+  auditLoaded: false,
+  pharmacists: [],
+  olderSessions: [],
+  sessionsCursor: null
 };
 
+const ROLE_RANK = { pharmacist: 1, supervisor: 2, admin: 3 };
+
 const sessionsList = document.getElementById("sessionsList");
 const callsList = document.getElementById("callsList");
 const messageForm = document.getElementById("messageForm");
 const messageInput = document.getElementById("messageInput");
 const messagesEl = document.getElementById("messages");
+const safetyFlagsEl = document.getElementById("safetyFlags");
 const sessionTitle = document.getElementById("sessionTitle");
 const sessionSubtitle = document.getElementById("sessionSubtitle");
 const statusTextInput = document.getElementById("statusText");
@@ -31,6 +45,17 @@ const resetDataBtn = document.getElementById("resetDataBtn");
 const audioPermissionBtn = document.getElementById("audioPermissionBtn");
 const lastRefresh = document.getElementById("lastRefresh");
 const sessionSearch = document.getElementById("sessionSearch");
+const sessionAssignedFilter = document.getElementById("sessionAssignedFilter");
+const sessionStatusFilter = document.getElementById("sessionStatusFilter");
+const sessionFrom = document.getElementById("sessionFrom");
+const sessionTo = document.getElementById("sessionTo");
+const loadMoreSessionsBtn = document.getElementById("loadMoreSessionsBtn");
+const assignmentBar = document.getElementById("assignmentBar");
+const assignmentLabel = document.getElementById("assignmentLabel");
+const claimBtn = document.getElementById("claimBtn");
+const releaseBtn = document.getElementById("releaseBtn");
+const transferTarget = document.getElementById("transferTarget");
+const transferBtn = document.getElementById("transferBtn");
 const incomingBadge = document.getElementById("incomingBadge");
 const voiceStatusBadge = document.getElementById("voiceStatusBadge");
 const satisfactionBadge = document.getElementById("satisfactionBadge");
@@ -43,11 +68,59 @@ const answerCallBtn = document.getElementById("answerCallBtn");
 const endCallBtn = document.getElementById("endCallBtn");
 const muteCallBtn = document.getElementById("muteCallBtn");
 const holdCallBtn = document.getElementById("holdCallBtn");
+const tabButtons = document.querySelectorAll(".tab");
+const triageView = document.getElementById("triageView");
+const reviewView = document.getElementById("reviewView");
+const reviewCount = document.getElementById("reviewCount");
+const reviewFilter = document.getElementById("reviewFilter");
+const reviewList = document.getElementById("reviewList");
+const loadMoreReviewsBtn = document.getElementById("loadMoreReviewsBtn");
+const reviewTitle = document.getElementById("reviewTitle");
+const reviewSubtitle = document.getElementById("reviewSubtitle");
+const reviewDetail = document.getElementById("reviewDetail");
+const reviewForm = document.getElementById("reviewForm");
+const reviewStatusSelect = document.getElementById("reviewStatus");
+const reviewNote = document.getElementById("reviewNote");
+const reviewMessage = document.getElementById("reviewMessage");
+const analyticsView = document.getElementById("analyticsView");
+const analyticsPreset = document.getElementById("analyticsPreset");
+const analyticsFrom = document.getElementById("analyticsFrom");
+const analyticsTo = document.getElementById("analyticsTo");
+const analyticsLoadBtn = document.getElementById("analyticsLoadBtn");
+const analyticsStatus = document.getElementById("analyticsStatus");
+const analyticsSummary = document.getElementById("analyticsSummary");
+const analyticsDaily = document.getElementById("analyticsDaily");
+const analyticsProviders = document.getElementById("analyticsProviders");
+const analyticsFallbacks = document.getElementById("analyticsFallbacks");
+const analyticsSymptoms = document.getElementById("analyticsSymptoms");
+const analyticsRedFlags = document.getElementById("analyticsRedFlags");
+const accountBadge = document.getElementById("accountBadge");
+const logoutBtn = document.getElementById("logoutBtn");
+const totpSetupBtn = document.getElementById("totpSetupBtn");
+const recoveryCodesBtn = document.getElementById("recoveryCodesBtn");
+const auditView = document.getElementById("auditView");
+const auditFrom = document.getElementById("auditFrom");
+const auditTo = document.getElementById("auditTo");
+const auditActor = document.getElementById("auditActor");
+const auditAction = document.getElementById("auditAction");
+const auditTarget = document.getElementById("auditTarget");
+const auditLoadBtn = document.getElementById("auditLoadBtn");
+const auditExportBtn = document.getElementById("auditExportBtn");
+const auditStatus = document.getElementById("auditStatus");
+const auditTable = document.getElementById("auditTable");
+const accountsView = document.getElementById("accountsView");
+const accountsTable = document.getElementById("accountsTable");
+const accountForm = document.getElementById("accountForm");
+const accountUsername = document.getElementById("accountUsername");
+const accountDisplayName = document.getElementById("accountDisplayName");
+const accountRole = document.getElementById("accountRole");
+const accountPassword = document.getElementById("accountPassword");
 
 let audioContext;
 let titlePulseInterval;
 let liveTimerInterval;
 let refreshIntervalHandle;
+let sessionSearchDebounce;
 let quotaCooldownUntil = 0;
 const baseDocumentTitle = document.title;
 let device = null;
@@ -71,10 +144,14 @@ const api = async (path, options = {}) => {
   });
   if (!response.ok) {
     const payload = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+      window.location.href = "/pharmacist/login";
+    }
     if (response.status === 429) {
       quotaCooldownUntil = Date.now() + 120000;
     }
-    throw new Error(payload.error || "Request failed");
+    const details = (payload.fieldErrors || []).map(({ field, message }) => `${field} ${message}`);
+    throw new Error([payload.error || "Request failed", ...details].join(" "));
   }
   return response.json();
 };
@@ -134,6 +211,14 @@ const short = (value, max = 80) => {
   return value.length > max ? `${value.slice(0, max - 1)}…` : value;
 };
 
+const appendTextBlock = (parent, tag, text, className) => {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  el.textContent = text;
+  parent.appendChild(el);
+  return el;
+};
+
 const requestIdFromCall = (call) => {
   const custom = call?.customParameters;
   const requestId = custom?.get ? custom.get("requestId") : null;
@@ -633,6 +718,44 @@ const refreshIncomingBadge = () => {
   startTitlePulse();
 };
 
+const renderAssignment = (session) => {
+  assignmentBar.hidden = !session;
+  if (!session) return;
+  const isMine = session.assignedTo && session.assignedTo === state.me?.username;
+  const canManage = isMine || ["supervisor", "admin"].includes(state.me?.role);
+  assignmentLabel.textContent = session.assignedTo
+    ? `Assigned to ${isMine ? "you" : session.assignedToName || session.assignedTo}`
+    : "Unassigned";
+  claimBtn.hidden = Boolean(isMine);
+  releaseBtn.hidden = !session.assignedTo || !canManage;
+  transferTarget.hidden = transferBtn.hidden = Boolean(session.assignedTo) && !canManage;
+  transferTarget.innerHTML = "";
+  state.pharmacists
+    .filter((pharmacist) => pharmacist.username !== session.assignedTo)
+    .forEach((pharmacist) => {
+      const option = document.createElement("option");
+      option.value = pharmacist.username;
+      option.textContent = `${pharmacist.displayName}${pharmacist.online ? "" : " (away)"}`;
+      transferTarget.appendChild(option);
+    });
+};
+
+const loadPharmacists = async () => {
+  const { pharmacists } = await api("/pharmacists");
+  state.pharmacists = pharmacists || [];
+};
+
+const changeAssignment = async (action, body = {}) => {
+  if (!state.activeSessionId) return;
+  try {
+    await api(`/sessions/${state.activeSessionId}/${action}`, { method: "POST", body: JSON.stringify(body) });
+  } catch (error) {
+    alert(error?.message || `Failed to ${action} session.`);
+  }
+  await refreshAll();
+  renderAssignment(state.sessions.find((session) => session.id === state.activeSessionId) || null);
+};
+
 const setActiveSession = async (sessionId) => {
   state.activeSessionId = sessionId;
   renderSessions();
@@ -640,41 +763,77 @@ const setActiveSession = async (sessionId) => {
   if (!session) return;
   const name = userNameForSession(session);
   sessionTitle.textContent = name;
-  sessionSubtitle.textContent = `Created ${formatTime(session.createdAt)} • ${session.userId || "unknown id"}`;
+  sessionSubtitle.textContent = `Created ${formatTime(session.createdAt)} • ${session.userId || "unknown id"}${
+    session.priority ? ` • Escalated by AI triage (urgency: ${session.escalation?.urgency?.level || "--"})` : ""
+  }`;
   statusTextInput.value = session.statusText || "";
   queuePositionInput.value = session.queuePosition ?? "";
+  renderAssignment(session);
+  void loadMedicationSafety(sessionId);
   await loadMessages(sessionId);
 };
 
-const renderSessions = () => {
-  const query = sessionSearch.value.trim().toLowerCase();
-  const filtered = state.sessions.filter((session) => {
-    if (!query) return true;
-    const text = [
-      session.userDisplayName,
-      session.userEmail,
-      session.handoff?.userMessage,
-      session.handoff?.summarizedLogs
-    ]
-      .filter(Boolean)
-      .join(" ")
-      .toLowerCase();
-    return text.includes(query);
+const renderMedicationSafety = (payload) => {
+  const flags = payload?.flags || [];
+  safetyFlagsEl.innerHTML = "";
+  safetyFlagsEl.hidden = flags.length === 0;
+  if (!flags.length) return;
+  const header = document.createElement("div");
+  header.className = "safety-flags-header";
+  header.textContent = `Medication safety (${flags.length}) • table ${payload.datasetVersion || "--"}`;
+  safetyFlagsEl.appendChild(header);
+  flags.forEach((flag) => {
+    const row = document.createElement("div");
+    row.className = `safety-flag ${flag.severity || "moderate"}`;
+    const title = appendTextBlock(row, "div", "", "title");
+    appendTextBlock(title, "span", flag.severity || "moderate", "pill severity");
+    title.append(` ${flag.title || ""}`);
+    appendTextBlock(row, "div", flag.whyItMatters || "", "meta");
+    const action = appendTextBlock(row, "div", "", "meta");
+    appendTextBlock(action, "strong", "Action:");
+    action.append(` ${flag.action || ""}`);
+    safetyFlagsEl.appendChild(row);
   });
+};
+
+const loadMedicationSafety = async (sessionId) => {
+  try {
+    const payload = await api(`/sessions/${sessionId}/medication-safety`);
+    if (state.activeSessionId !== sessionId) return;
+    renderMedicationSafety(payload);
+  } catch (error) {
+    console.warn("Medication safety unavailable:", error?.message || error);
+    renderMedicationSafety(null);
+  }
+};
 
+const renderSessions = () => {
   sessionsList.innerHTML = "";
-  filtered.forEach((session) => {
+  loadMoreSessionsBtn.hidden = !state.sessionsCursor;
+  state.sessions.forEach((session) => {
     const li = document.createElement("li");
-    li.className = `list-item ${session.id === state.activeSessionId ? "active" : ""}`;
+    li.className = `list-item ${session.id === state.activeSessionId ? "active" : ""} ${session.priority ? "priority" : ""}`;
     const name = userNameForSession(session);
     const count = state.userSessionCounts[session.userId] || 1;
     const isReturning = count > 1;
-    const starter = short(session.handoff?.userMessage || "New chat");
-    li.innerHTML = `
-      <div class="title">${name}<span class="pill ${isReturning ? "returning" : "new"}">${isReturning ? "Returning" : "New"}</span></div>
-      <div class="meta">${starter}</div>
-      <div class="meta">${session.statusText || "Pending"} • ${formatTime(session.updatedAt || session.createdAt)}</div>
-    `;
+    // Names, questions and statuses come from app users and AI output, so they are only ever set as text.
+    const title = appendTextBlock(li, "div", name, "title");
+    appendTextBlock(title, "span", isReturning ? "Returning" : "New", `pill ${isReturning ? "returning" : "new"}`);
+    if (session.priority) {
+      const level = session.escalation?.urgency?.level;
+      appendTextBlock(title, "span", `Priority${level ? ` • ${level}` : ""}`, "pill priority");
+    }
+    if (session.assignedTo) {
+      const assignee = session.assignedTo === state.me?.username ? "You" : session.assignedToName || session.assignedTo;
+      appendTextBlock(title, "span", assignee, "pill assigned");
+    }
+    appendTextBlock(li, "div", short(session.handoff?.userMessage || "New chat"), "meta");
+    appendTextBlock(
+      li,
+      "div",
+      `${session.statusText || "Pending"} • ${formatTime(session.updatedAt || session.createdAt)}`,
+      "meta"
+    );
     li.addEventListener("click", () => setActiveSession(session.id));
     sessionsList.appendChild(li);
   });
@@ -685,10 +844,8 @@ const renderMessages = (messages) => {
   messages.forEach((message) => {
     const wrapper = document.createElement("div");
     wrapper.className = `message ${message.role || "system"}`;
-    wrapper.innerHTML = `
-      <div>${message.content || ""}</div>
-      <div class="message-meta">${formatTime(message.createdAt)}</div>
-    `;
+    appendTextBlock(wrapper, "div", message.content || "");
+    appendTextBlock(wrapper, "div", formatTime(message.createdAt), "message-meta");
     messagesEl.appendChild(wrapper);
   });
   messagesEl.scrollTop = messagesEl.scrollHeight;
@@ -722,11 +879,14 @@ const renderCalls = () => {
 
     const li = document.createElement("li");
     li.className = `list-item ${isExpanded ? "active" : ""}`;
-    li.innerHTML = `
-      <div class="title">${group.callerName}</div>
-      <div class="meta">${group.calls.length} call${group.calls.length === 1 ? "" : "s"} • Completed ${completedCount} • Missed ${missedCount}</div>
-      <div class="meta">Last activity ${latestTime}</div>
-    `;
+    appendTextBlock(li, "div", group.callerName, "title");
+    appendTextBlock(
+      li,
+      "div",
+      `${group.calls.length} call${group.calls.length === 1 ? "" : "s"} • Completed ${completedCount} • Missed ${missedCount}`,
+      "meta"
+    );
+    appendTextBlock(li, "div", `Last activity ${latestTime}`, "meta");
     li.addEventListener("click", () => {
       state.expandedCallUserKey = state.expandedCallUserKey === group.key ? null : group.key;
       renderCalls();
@@ -740,10 +900,10 @@ const renderCalls = () => {
         const completedAt = formatTime(call.endedAt || call.updatedAt || call.createdAt);
         const row = document.createElement("div");
         row.className = "call-history-row";
-        row.innerHTML = `
-          <div class="meta"><strong>${outcome}</strong> • ${completedAt}</div>
-          <div class="meta">${short(call.handoff?.userMessage || "Call request")}</div>
-        `;
+        const summary = appendTextBlock(row, "div", "", "meta");
+        appendTextBlock(summary, "strong", outcome);
+        summary.append(` • ${completedAt}`);
+        appendTextBlock(row, "div", short(call.handoff?.userMessage || "Call request"), "meta");
         history.appendChild(row);
       });
       li.appendChild(history);
@@ -753,11 +913,60 @@ const renderCalls = () => {
   });
 };
 
+// Search, status and dates are matched on the server, including message text the browser never loaded.
+const sessionListQuery = (cursor = null) => {
+  const params = new URLSearchParams({ assigned: sessionAssignedFilter.value });
+  const fields = {
+    q: sessionSearch.value,
+    status: sessionStatusFilter.value,
+    from: sessionFrom.value,
+    to: sessionTo.value
+  };
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value.trim()) params.set(key, value.trim());
+  });
+  if (cursor) params.set("cursor", cursor);
+  return params.toString();
+};
+
+const loadOlderSessions = async () => {
+  if (!state.sessionsCursor) return;
+  loadMoreSessionsBtn.disabled = true;
+  try {
+    const data = await api(`/sessions?${sessionListQuery(state.sessionsCursor)}`);
+    const knownIds = new Set(state.sessions.map((session) => session.id));
+    const older = (data.sessions || []).filter((session) => !knownIds.has(session.id));
+    state.olderSessions.push(...older);
+    state.sessions.push(...older);
+    state.sessionsCursor = data.nextCursor || null;
+    state.userSessionCounts = buildUserSessionCounts(state.sessions);
+    renderSessions();
+  } catch (error) {
+    alert(error?.message || "Failed to load older chats.");
+  } finally {
+    loadMoreSessionsBtn.disabled = false;
+  }
+};
+
+const resetSessionList = () => {
+  // A new query starts from the first page and should not ring for chats it merely reveals.
+  state.olderSessions = [];
+  state.sessionsCursor = null;
+  state.sessionsHydrated = false;
+  void refreshAll();
+};
+
 const loadSessions = async () => {
   const previousUpdatedAt = { ...state.sessionUpdatedAt };
   const previousIds = new Set(state.sessions.map((session) => session.id));
-  const data = await api("/sessions");
-  state.sessions = data.sessions || [];
+  const data = await api(`/sessions?${sessionListQuery()}`);
+  // Refreshes reload the newest page and keep any older pages already fetched with "Load older chats".
+  const firstPage = data.sessions || [];
+  const firstPageIds = new Set(firstPage.map((session) => session.id));
+  state.sessions = [...firstPage, ...state.olderSessions.filter((session) => !firstPageIds.has(session.id))];
+  if (!state.olderSessions.length) {
+    state.sessionsCursor = data.nextCursor || null;
+  }
   state.userSessionCounts = buildUserSessionCounts(state.sessions);
   state.sessionUpdatedAt = Object.fromEntries(
     state.sessions.map((session) => [session.id, String(session.updatedAt || session.createdAt || "")])
@@ -782,10 +991,11 @@ const loadSessions = async () => {
   state.sessionsHydrated = true;
 
   if (state.activeSessionId) {
-    const exists = state.sessions.some((session) => session.id === state.activeSessionId);
-    if (!exists) {
+    const activeSession = state.sessions.find((session) => session.id === state.activeSessionId);
+    if (!activeSession) {
       state.activeSessionId = null;
     }
+    renderAssignment(activeSession || null);
   }
   renderSessions();
   if (!state.activeSessionId && state.sessions.length) {
@@ -850,6 +1060,448 @@ const loadRatingsSummary = async () => {
   }
 };
 
+const REVIEW_REASON_LABELS = {
+  red_flag: "Red flag",
+  negative_feedback: "Thumbs down",
+  crisis: "Crisis"
+};
+
+const appendList = (parent, heading, items) => {
+  if (!items?.length) return;
+  appendTextBlock(parent, "h3", heading);
+  const list = document.createElement("ul");
+  items.forEach((item) => appendTextBlock(list, "li", item));
+  parent.appendChild(list);
+};
+
+const renderReviews = () => {
+  reviewList.innerHTML = "";
+  loadMoreReviewsBtn.hidden = !state.reviewsCursor;
+  if (!state.reviews.length) {
+    const li = document.createElement("li");
+    li.className = "list-item";
+    appendTextBlock(li, "div", "Nothing to review", "title");
+    reviewList.appendChild(li);
+    return;
+  }
+  state.reviews.forEach((review) => {
+    const li = document.createElement("li");
+    li.className = `list-item ${review.id === state.activeReviewId ? "active" : ""}`;
+    const title = appendTextBlock(li, "div", review.userDisplayName || review.userEmail || "Unknown user", "title");
+    (review.reviewReasons || []).forEach((reason) => {
+      const pill = appendTextBlock(
+        title,
+        "span",
+        REVIEW_REASON_LABELS[reason] || reason,
+        reason === "crisis" ? "pill priority" : "pill requested"
+      );
+      pill.title = reason;
+    });
+    appendTextBlock(li, "div", short(review.userQuestion || review.response?.recap || "AI answer"), "meta");
+    appendTextBlock(li, "div", `${review.endpoint || ""} • ${review.reviewStatus} • ${formatTime(review.createdAt)}`, "meta");
+    li.addEventListener("click", () => setActiveReview(review.id));
+    reviewList.appendChild(li);
+  });
+};
+
+const renderReviewDetail = (review) => {
+  reviewDetail.innerHTML = "";
+  reviewForm.hidden = !review;
+  if (!review) {
+    reviewTitle.textContent = "Select a response";
+    reviewSubtitle.textContent = "Poorly rated and red-flagged AI answers appear here.";
+    return;
+  }
+  reviewTitle.textContent = review.userDisplayName || review.userEmail || "Unknown user";
+  reviewSubtitle.textContent = `${review.provider || "--"} via ${review.endpoint || "--"} • ${formatTime(review.createdAt)}`;
+  const response = review.response || {};
+  appendTextBlock(reviewDetail, "h3", "Question");
+  appendTextBlock(reviewDetail, "div", review.userQuestion || "Analyze my logs");
+  if (review.symptoms?.length) {
+    appendTextBlock(reviewDetail, "div", `Symptoms: ${review.symptoms.join(", ")}`, "meta");
+  }
+  appendTextBlock(reviewDetail, "h3", "Recap");
+  appendTextBlock(reviewDetail, "div", response.recap || "--");
+  if (response.crisis) {
+    appendTextBlock(reviewDetail, "h3", "Crisis short-circuit");
+    appendTextBlock(
+      reviewDetail,
+      "div",
+      `${response.crisis.category} • matched: ${(response.crisis.matched || []).join(", ") || "--"} • region ${
+        response.crisis.region || "unknown"
+      } • resources ${response.crisis.resourcesVersion || "--"}`
+    );
+  }
+  if (response.urgency) {
+    appendTextBlock(reviewDetail, "h3", "Urgency");
+    appendTextBlock(reviewDetail, "div", `${response.urgency.level} — ${response.urgency.rationale || ""}`);
+  }
+  appendList(reviewDetail, "Patterns", response.patterns);
+  appendList(reviewDetail, "Suggestions", response.suggestions);
+  appendList(
+    reviewDetail,
+    "Red flags",
+    (response.redFlags || []).map((flag) => `${flag.severity ? `[${flag.severity}] ` : ""}${flag.title} — ${flag.action || ""}`)
+  );
+  if (review.feedback) {
+    appendTextBlock(reviewDetail, "h3", "User feedback");
+    appendTextBlock(
+      reviewDetail,
+      "div",
+      `${review.feedback.rating === "down" ? "Thumbs down" : "Thumbs up"}${review.feedback.comment ? `: ${review.feedback.comment}` : ""}`
+    );
+  }
+  if (review.reviewNote || review.userMessagedAt) {
+    appendTextBlock(reviewDetail, "h3", "Previous review");
+    if (review.reviewNote) appendTextBlock(reviewDetail, "div", review.reviewNote);
+    appendTextBlock(
+      reviewDetail,
+      "div",
+      `${review.reviewedBy || "--"} • ${formatTime(review.reviewedAt)}${review.userMessagedAt ? " • user messaged" : ""}`,
+      "meta"
+    );
+  }
+  reviewStatusSelect.value = review.reviewStatus === "pending" ? "reviewed" : review.reviewStatus;
+  reviewNote.value = review.reviewNote || "";
+  reviewMessage.value = "";
+};
+
+const loadOlderReviews = async () => {
+  if (!state.reviewsCursor) return;
+  loadMoreReviewsBtn.disabled = true;
+  try {
+    const params = new URLSearchParams({ status: reviewFilter.value, cursor: state.reviewsCursor });
+    const data = await api(`/ai/reviews?${params.toString()}`);
+    const knownIds = new Set(state.reviews.map((review) => review.id));
+    const older = (data.reviews || []).filter((review) => !knownIds.has(review.id));
+    state.olderReviews.push(...older);
+    state.reviews.push(...older);
+    state.reviewsCursor = data.nextCursor || null;
+    renderReviews();
+  } catch (error) {
+    alert(error?.message || "Failed to load older review items.");
+  } finally {
+    loadMoreReviewsBtn.disabled = false;
+  }
+};
+
+const setActiveReview = (reviewId) => {
+  state.activeReviewId = reviewId;
+  renderReviews();
+  renderReviewDetail(state.reviews.find((review) => review.id === reviewId) || null);
+};
+
+const loadReviews = async () => {
+  const status = reviewFilter.value;
+  const data = await api(`/ai/reviews?status=${encodeURIComponent(status)}`);
+  // Refreshes reload the first page and keep any older items already fetched with "Load older items".
+  const firstPage = data.reviews || [];
+  const firstPageIds = new Set(firstPage.map((review) => review.id));
+  state.reviews = [...firstPage, ...state.olderReviews.filter((review) => !firstPageIds.has(review.id))];
+  if (!state.olderReviews.length) {
+    state.reviewsCursor = data.nextCursor || null;
+  }
+  if (status === "pending") {
+    reviewCount.textContent = `${firstPage.length}${data.nextCursor ? "+" : ""}`;
+    reviewCount.hidden = firstPage.length === 0;
+  }
+  if (state.activeReviewId && !state.reviews.some((review) => review.id === state.activeReviewId)) {
+    state.activeReviewId = null;
+    renderReviewDetail(null);
+  }
+  renderReviews();
+};
+
+const isoDay = (date) => date.toISOString().slice(0, 10);
+
+const applyAnalyticsPreset = () => {
+  const days = Number(analyticsPreset.value);
+  if (!Number.isFinite(days)) return;
+  const to = new Date();
+  analyticsTo.value = isoDay(to);
+  analyticsFrom.value = isoDay(new Date(to.getTime() - (days - 1) * 24 * 60 * 60 * 1000));
+};
+
+const formatRate = (value) => (Number.isFinite(value) ? `${(value * 100).toFixed(1)}%` : "--");
+
+const formatMs = (value) => (Number.isFinite(value) ? `${value} ms` : "--");
+
+// Values come from logged user payloads, so cells are filled with textContent only.
+const renderTable = (table, headers, rows, emptyText) => {
+  table.innerHTML = "";
+  const head = table.createTHead().insertRow();
+  headers.forEach((header) => {
+    const th = document.createElement("th");
+    th.textContent = header;
+    head.appendChild(th);
+  });
+  const body = table.createTBody();
+  if (!rows.length) {
+    const cell = body.insertRow().insertCell();
+    cell.colSpan = headers.length;
+    cell.className = "meta";
+    cell.textContent = emptyText;
+    return;
+  }
+  rows.forEach((values) => {
+    const row = body.insertRow();
+    values.forEach((value) => {
+      const cell = row.insertCell();
+      if (value instanceof Node) {
+        cell.appendChild(value);
+      } else {
+        cell.textContent = value ?? "--";
+      }
+    });
+  });
+};
+
+const renderAnalyticsSummary = (totals) => {
+  const cards = [
+    ["Requests", totals.requests],
+    ["Failure rate", formatRate(totals.failureRate)],
+    ["Fallback rate", formatRate(totals.fallbackRate)],
+    ["Retried", totals.retried],
+    ["With red flags", formatRate(totals.redFlagRate)]
+  ];
+  analyticsSummary.innerHTML = "";
+  cards.forEach(([label, value]) => {
+    const card = document.createElement("div");
+    card.className = "stat-card";
+    card.innerHTML = `<div class="label">${label}</div><div class="value">${value ?? "--"}</div>`;
+    analyticsSummary.appendChild(card);
+  });
+};
+
+const volumeBar = (value, max) => {
+  const bar = document.createElement("div");
+  bar.className = "bar";
+  bar.style.width = `${max ? Math.round((value / max) * 100) : 0}%`;
+  return bar;
+};
+
+const loadAnalytics = async () => {
+  const query = new URLSearchParams({ from: analyticsFrom.value, to: analyticsTo.value }).toString();
+  analyticsLoadBtn.disabled = true;
+  analyticsStatus.textContent = "Loading…";
+  try {
+    const [usage, symptoms] = await Promise.all([
+      api(`/ai/analytics?${query}`),
+      api(`/ai/analytics/symptoms?${query}&limit=15`)
+    ]);
+    renderAnalyticsSummary(usage.totals);
+    const maxDaily = Math.max(0, ...usage.daily.map((day) => day.requests));
+    renderTable(
+      analyticsDaily,
+      ["Day", "Requests", "Failures", "Fallbacks", ""],
+      usage.daily.map((day) => [day.day, day.requests, day.failures, day.fallbacks, volumeBar(day.requests, maxDaily)]),
+      "No requests in this range."
+    );
+    renderTable(
+      analyticsProviders,
+      ["Provider", "Requests", "Failures", "Fallbacks", "p50", "p90", "p99", "Avg tokens in/out"],
+      usage.providers.map((row) => [
+        row.provider,
+        row.requests,
+        formatRate(row.failureRate),
+        formatRate(row.fallbackRate),
+        formatMs(row.latencyMs.p50),
+        formatMs(row.latencyMs.p90),
+        formatMs(row.latencyMs.p99),
+        `${row.avgPromptTokens ?? "--"} / ${row.avgCompletionTokens ?? "--"}`
+      ]),
+      "No provider data."
+    );
+    renderTable(
+      analyticsFallbacks,
+      ["Reason", "Requests"],
+      usage.fallbackReasons.map((row) => [row.reason, row.count]),
+      "No fallbacks in this range."
+    );
+    renderTable(
+      analyticsSymptoms,
+      ["Symptom type", "Requests", "Entries"],
+      symptoms.topSymptoms.map((row) => [row.symptomType, row.requests, row.entries]),
+      "No symptoms logged in this range."
+    );
+    renderTable(
+      analyticsRedFlags,
+      ["Red flag", "Severity", "Times raised", "From local checks"],
+      symptoms.redFlags.map((row) => [row.title, row.severity, row.count, row.fromLocalChecks]),
+      "No red flags in this range."
+    );
+    state.analyticsLoaded = true;
+    analyticsStatus.textContent = `${usage.range.from} to ${usage.range.to} (UTC) • loaded ${new Date().toLocaleTimeString()}`;
+  } catch (error) {
+    analyticsStatus.textContent = error?.message || "Failed to load analytics.";
+  } finally {
+    analyticsLoadBtn.disabled = false;
+  }
+};
+
+const showTab = (name) => {
+  state.activeTab = name;
+  tabButtons.forEach((button) => button.classList.toggle("active", button.dataset.tab === name));
+  triageView.hidden = name !== "triage";
+  reviewView.hidden = name !== "review";
+  analyticsView.hidden = name !== "analytics";
+  auditView.hidden = name !== "audit";
+  accountsView.hidden = name !== "accounts";
+  if (name === "analytics" && !state.analyticsLoaded) {
+    void loadAnalytics();
+  }
+  if (name === "audit" && !state.auditLoaded) {
+    void loadAudit();
+  }
+  if (name === "accounts") {
+    loadAccounts().catch((error) => alert(error?.message || "Failed to load accounts."));
+  }
+};
+
+const hasRole = (role) => (ROLE_RANK[state.me?.role] || 0) >= ROLE_RANK[role];
+
+const loadMe = async () => {
+  state.me = await api("/me");
+  accountBadge.textContent = `${state.me.displayName} • ${state.me.role}`;
+  document.querySelectorAll("[data-min-role]").forEach((element) => {
+    element.hidden = !hasRole(element.dataset.minRole);
+  });
+  logoutBtn.hidden = state.me.authMethod !== "session";
+  totpSetupBtn.hidden = state.me.totpEnabled || state.me.authMethod !== "session";
+  recoveryCodesBtn.hidden = !state.me.totpEnabled;
+};
+
+const updateAccount = async (username, changes) => {
+  try {
+    await api(`/admin/accounts/${encodeURIComponent(username)}`, {
+      method: "PATCH",
+      body: JSON.stringify(changes)
+    });
+  } catch (error) {
+    alert(error?.message || "Failed to update account.");
+  }
+  await loadAccounts();
+};
+
+const renderAccounts = (accounts) => {
+  const rows = accounts.map((account) => {
+    const isSelf = account.username === state.me?.username;
+    const roleSelect = document.createElement("select");
+    Object.keys(ROLE_RANK).forEach((role) => {
+      const option = document.createElement("option");
+      option.value = role;
+      option.textContent = role;
+      option.selected = role === account.role;
+      roleSelect.appendChild(option);
+    });
+    roleSelect.disabled = isSelf;
+    roleSelect.addEventListener("change", () => updateAccount(account.username, { role: roleSelect.value }));
+
+    const actions = document.createElement("div");
+    const toggleBtn = document.createElement("button");
+    toggleBtn.type = "button";
+    toggleBtn.className = account.disabled ? "secondary" : "danger";
+    toggleBtn.textContent = account.disabled ? "Enable" : "Disable";
+    toggleBtn.disabled = isSelf;
+    toggleBtn.addEventListener("click", () => updateAccount(account.username, { disabled: !account.disabled }));
+    const passwordBtn = document.createElement("button");
+    passwordBtn.type = "button";
+    passwordBtn.className = "secondary";
+    passwordBtn.textContent = "Set password";
+    passwordBtn.addEventListener("click", () => {
+      const password = window.prompt(`New temporary password for ${account.username} (at least 10 characters)`);
+      if (password) void updateAccount(account.username, { password });
+    });
+    actions.append(toggleBtn, passwordBtn);
+    if (account.totpEnabled) {
+      const totpResetBtn = document.createElement("button");
+      totpResetBtn.type = "button";
+      totpResetBtn.className = "secondary";
+      totpResetBtn.textContent = "Reset 2FA";
+      totpResetBtn.addEventListener("click", async () => {
+        if (!window.confirm(`Remove two-factor sign-in for ${account.username}? They will set it up again on next sign-in.`)) {
+          return;
+        }
+        try {
+          await api(`/admin/accounts/${encodeURIComponent(account.username)}/totp/reset`, { method: "POST", body: "{}" });
+        } catch (error) {
+          alert(error?.message || "Failed to reset two-factor sign-in.");
+        }
+        await loadAccounts();
+      });
+      actions.append(totpResetBtn);
+    }
+
+    return [
+      account.username,
+      account.displayName,
+      roleSelect,
+      account.disabled ? "Disabled" : "Active",
+      account.totpEnabled ? "On" : "Off",
+      account.lastLoginAt ? new Date(account.lastLoginAt).toLocaleString() : "Never",
+      actions
+    ];
+  });
+  renderTable(accountsTable, ["Username", "Name", "Role", "Status", "2FA", "Last sign-in", ""], rows, "No accounts yet.");
+};
+
+const auditQuery = () =>
+  new URLSearchParams({
+    from: auditFrom.value,
+    to: auditTo.value,
+    actor: auditActor.value.trim(),
+    action: auditAction.value.trim(),
+    target: auditTarget.value.trim()
+  }).toString();
+
+// Changes hold raw field values from Firestore, so they are rendered as text only.
+const renderAuditChanges = (changes) => {
+  const fields = Object.entries(changes || {});
+  if (!fields.length) return "--";
+  const list = document.createElement("ul");
+  list.className = "audit-changes";
+  fields.forEach(([field, { before, after }]) => {
+    const item = document.createElement("li");
+    item.textContent = `${field}: ${JSON.stringify(before ?? null)} → ${JSON.stringify(after ?? null)}`;
+    list.appendChild(item);
+  });
+  return list;
+};
+
+const loadAudit = async () => {
+  auditLoadBtn.disabled = true;
+  auditStatus.textContent = "Loading…";
+  try {
+    const { entries, range, truncated } = await api(`/audit?${auditQuery()}&limit=500`);
+    renderTable(
+      auditTable,
+      ["Time", "Actor", "Action", "Target", "Changes", "IP"],
+      entries.map((entry) => [
+        entry.createdAt ? new Date(entry.createdAt).toLocaleString() : "--",
+        entry.actor ? `${entry.actor} (${entry.actorRole || "?"})` : entry.metadata?.username || "--",
+        entry.action,
+        entry.target || "--",
+        renderAuditChanges(entry.changes),
+        entry.ip || "--"
+      ]),
+      "No audit entries match."
+    );
+    state.auditLoaded = true;
+    auditStatus.textContent = `${entries.length} entries, ${range.from} to ${range.to} (UTC)${
+      truncated ? " • showing the newest 500, narrow the filters or export for more" : ""
+    }`;
+  } catch (error) {
+    auditStatus.textContent = error?.message || "Failed to load audit log.";
+  } finally {
+    auditLoadBtn.disabled = false;
+  }
+};
+
+const loadAccounts = async () => {
+  const { accounts } = await api("/admin/accounts");
+  renderAccounts(accounts || []);
+};
+
 const refreshAll = async () => {
   if (Date.now() < quotaCooldownUntil) {
     const waitSeconds = Math.ceil((quotaCooldownUntil - Date.now()) / 1000);
@@ -869,6 +1521,9 @@ const refreshAll = async () => {
     loadRatingsSummary().catch((error) => {
       issues.push(`ratings: ${error?.message || "failed"}`);
     }),
+    loadReviews().catch((error) => {
+      issues.push(`reviews: ${error?.message || "failed"}`);
+    }),
     sendPresenceHeartbeat().catch((error) => {
       issues.push(`presence: ${error?.message || "failed"}`);
     })
@@ -911,22 +1566,32 @@ messageForm.addEventListener("submit", async (event) => {
   const content = messageInput.value.trim();
   if (!content) return;
   messageInput.value = "";
-  await api(`/sessions/${state.activeSessionId}/messages`, {
-    method: "POST",
-    body: JSON.stringify({ content })
-  });
-  await loadMessages(state.activeSessionId);
+  try {
+    await api(`/sessions/${state.activeSessionId}/messages`, {
+      method: "POST",
+      body: JSON.stringify({ content })
+    });
+  } catch (error) {
+    messageInput.value = content;
+    alert(error?.message || "Failed to send message.");
+    return;
+  }
+  await refreshAll();
 });
 
 saveStatusBtn.addEventListener("click", async () => {
   if (!state.activeSessionId) return;
-  await api(`/sessions/${state.activeSessionId}/status`, {
-    method: "POST",
-    body: JSON.stringify({
-      statusText: statusTextInput.value.trim(),
-      queuePosition: queuePositionInput.value ? Number(queuePositionInput.value) : null
-    })
-  });
+  try {
+    await api(`/sessions/${state.activeSessionId}/status`, {
+      method: "POST",
+      body: JSON.stringify({
+        statusText: statusTextInput.value.trim(),
+        queuePosition: queuePositionInput.value ? Number(queuePositionInput.value) : null
+      })
+    });
+  } catch (error) {
+    alert(error?.message || "Failed to update status.");
+  }
   await refreshAll();
 });
 
@@ -999,6 +1664,7 @@ resetDataBtn.addEventListener("click", async () => {
     sessionTitle.textContent = "Select a chat";
     sessionSubtitle.textContent = "Messages will appear here.";
     messagesEl.innerHTML = "";
+    renderMedicationSafety(null);
     await refreshAll();
     alert("All pharmacist data has been cleared.");
   } catch (error) {
@@ -1009,7 +1675,99 @@ resetDataBtn.addEventListener("click", async () => {
 });
 
 refreshBtn.addEventListener("click", refreshAll);
-sessionSearch.addEventListener("input", renderSessions);
+logoutBtn.addEventListener("click", async () => {
+  await fetch("/pharmacist/auth/logout", { method: "POST" }).catch(() => null);
+  window.location.href = "/pharmacist/login";
+});
+totpSetupBtn.addEventListener("click", () => {
+  window.location.href = "/pharmacist/login#enroll";
+});
+recoveryCodesBtn.addEventListener("click", async () => {
+  const code = window.prompt("Enter the current code from your authenticator app. Your old recovery codes will stop working.");
+  if (!code) return;
+  try {
+    const { recoveryCodes } = await api("/me/totp/recovery-codes", { method: "POST", body: JSON.stringify({ code }) });
+    window.prompt("Your new recovery codes. Copy them somewhere safe:", recoveryCodes.join(" "));
+  } catch (error) {
+    alert(error?.message || "Failed to create recovery codes.");
+  }
+});
+accountForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  const submitBtn = accountForm.querySelector("button[type=submit]");
+  submitBtn.disabled = true;
+  try {
+    await api("/admin/accounts", {
+      method: "POST",
+      body: JSON.stringify({
+        username: accountUsername.value.trim(),
+        displayName: accountDisplayName.value.trim(),
+        role: accountRole.value,
+        password: accountPassword.value
+      })
+    });
+    accountForm.reset();
+    await loadAccounts();
+  } catch (error) {
+    alert(error?.message || "Failed to create account.");
+  } finally {
+    submitBtn.disabled = false;
+  }
+});
+tabButtons.forEach((button) => button.addEventListener("click", () => showTab(button.dataset.tab)));
+reviewFilter.addEventListener("change", () => {
+  state.olderReviews = [];
+  state.reviewsCursor = null;
+  loadReviews().catch((error) => alert(error?.message || "Failed to load review queue."));
+});
+loadMoreReviewsBtn.addEventListener("click", loadOlderReviews);
+reviewForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  if (!state.activeReviewId) return;
+  const submitBtn = reviewForm.querySelector("button[type=submit]");
+  submitBtn.disabled = true;
+  try {
+    await api(`/ai/reviews/${state.activeReviewId}`, {
+      method: "POST",
+      body: JSON.stringify({
+        status: reviewStatusSelect.value,
+        note: reviewNote.value.trim(),
+        messageToUser: reviewMessage.value.trim()
+      })
+    });
+    await loadReviews();
+    renderReviewDetail(state.reviews.find((review) => review.id === state.activeReviewId) || null);
+  } catch (error) {
+    alert(error?.message || "Failed to save review.");
+  } finally {
+    submitBtn.disabled = false;
+  }
+});
+analyticsPreset.addEventListener("change", applyAnalyticsPreset);
+[analyticsFrom, analyticsTo].forEach((input) =>
+  input.addEventListener("change", () => {
+    analyticsPreset.value = "custom";
+  })
+);
+analyticsLoadBtn.addEventListener("click", loadAnalytics);
+auditLoadBtn.addEventListener("click", loadAudit);
+auditExportBtn.addEventListener("click", () => {
+  window.location.href = `/pharmacist/api/audit/export.csv?${auditQuery()}`;
+});
+[sessionSearch, sessionStatusFilter].forEach((input) =>
+  input.addEventListener("input", () => {
+    clearTimeout(sessionSearchDebounce);
+    sessionSearchDebounce = setTimeout(resetSessionList, 350);
+  })
+);
+[sessionAssignedFilter, sessionFrom, sessionTo].forEach((input) => input.addEventListener("change", resetSessionList));
+loadMoreSessionsBtn.addEventListener("click", loadOlderSessions);
+claimBtn.addEventListener("click", () => changeAssignment("claim"));
+releaseBtn.addEventListener("click", () => changeAssignment("release"));
+transferBtn.addEventListener("click", () => {
+  if (!transferTarget.value) return;
+  void changeAssignment("transfer", { to: transferTarget.value });
+});
 audioPermissionBtn?.addEventListener("click", async () => {
   await ensureMicPermission();
 });
@@ -1028,7 +1786,16 @@ setLiveCallUI({
   canHangup: false
 });
 
+loadPharmacists().catch((error) => {
+  console.warn("Pharmacist list unavailable:", error?.message || error);
+});
+loadMe().catch((error) => {
+  accountBadge.textContent = error?.message || "Account unavailable";
+});
 setupVoiceDevice();
+applyAnalyticsPreset();
+auditTo.value = isoDay(new Date());
+auditFrom.value = isoDay(new Date(Date.now() - 6 * 24 * 60 * 60 * 1000));
 refreshAll();
 api("/diagnostics")
   .then((data) => {
@@ -5,6 +5,8 @@ import dotenv from "dotenv";
 import pg from "pg";
 import admin from "firebase-admin";
 import twilio from "twilio";
+import crypto from "crypto";
+import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 
@@ -15,6 +17,16 @@ const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS
   : [];
 
 const app = express();
+// req.ip, req.secure and the rate limits only read X-Forwarded-* headers from proxies listed here.
+// TRUST_PROXY is a hop count (1 behind Render), "true", or a comma-separated list of proxy addresses/subnets.
+function parseTrustProxy(value) {
+  const text = String(value || "").trim().toLowerCase();
+  if (!text || text === "false") return false;
+  if (text === "true") return true;
+  if (/^\d+$/.test(text)) return Number(text);
+  return text.split(",").map((entry) => entry.trim()).filter(Boolean);
+}
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
 app.use(
   cors({
     origin: (origin, callback) => {
@@ -25,14 +37,32 @@ app.use(
       }
       return callback(new Error("CORS: origin not allowed"));
     },
-    credentials: true
+    credentials: true,
+    exposedHeaders: [
+      "Retry-After",
+      "X-AI-Quota-Plan",
+      "X-AI-Quota-Daily-Limit",
+      "X-AI-Quota-Daily-Remaining",
+      "X-AI-Quota-Daily-Reset",
+      "X-AI-Quota-Monthly-Limit",
+      "X-AI-Quota-Monthly-Remaining",
+      "X-AI-Quota-Monthly-Reset"
+    ]
   })
 );
-app.use(express.json({ limit: "1mb" }));
-
+const AI_MAX_IMAGE_BYTES = Number(process.env.AI_MAX_IMAGE_BYTES) || 4 * 1024 * 1024;
+const AI_MAX_IMAGES = 4;
+const AI_IMAGE_MIME_TYPES = ["image/jpeg", "image/png", "image/webp"];
+// Photos travel base64-encoded inside the AIRequest, so POST /ai/analyze, the only route that takes them, parses
+// its own body with room for them on top of the usual 1mb. Every other route keeps the 1mb limit.
+const aiAnalyzeJsonParser = express.json({ limit: Math.ceil((AI_MAX_IMAGES * AI_MAX_IMAGE_BYTES * 4) / 3) + 1024 * 1024 });
+const jsonParser = express.json({ limit: "1mb" });
+app.use((req, res, next) => (req.method === "POST" && req.path === "/ai/analyze" ? next() : jsonParser(req, res, next)));
+
+// Coarse per-IP flood guard. Per-user budgets are enforced by the AI quota after sign-in.
 const aiRateLimit = rateLimit({
   windowMs: 15 * 60 * 1000,
-  max: 30,
+  max: Number(process.env.AI_IP_RATE_LIMIT_MAX) || 300,
   standardHeaders: true,
   legacyHeaders: false,
   message: { error: "Too many requests, please try again later." }
@@ -50,11 +80,33 @@ app.use("/ai/", aiRateLimit);
 app.use("/twilio/", generalRateLimit);
 app.use("/pharmacist/api/", generalRateLimit);
 
+const pharmacistLoginRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: Number(process.env.PHARMACIST_LOGIN_RATE_LIMIT_MAX) || 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: "Too many login attempts, please try again later." }
+});
+
+// Console requests carrying Basic credentials only count when they fail to authenticate,
+// so scripts keep working while password guessing through Basic auth hits the login limit.
+const pharmacistBasicAuthRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: Number(process.env.PHARMACIST_LOGIN_RATE_LIMIT_MAX) || 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => !String(req.headers.authorization || "").startsWith("Basic "),
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req) => Boolean(req.pharmacist),
+  message: { error: "Too many login attempts, please try again later." }
+});
+
 const { Pool } = pg;
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const publicDir = path.join(__dirname, "public");
+const dataDir = path.join(__dirname, "data");
 
 const PORT = process.env.PORT || 3001;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
@@ -62,8 +114,42 @@ const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
 const GEMINI_MODEL = process.env.GEMINI_MODEL || "gemini-2.5-flash";
 const AI_PROVIDER = process.env.AI_PROVIDER || (GEMINI_API_KEY ? "gemini" : "openai");
+const VENDOR_AI_PROVIDERS = ["gemini", "openai"];
+const KNOWN_AI_PROVIDERS = [...VENDOR_AI_PROVIDERS, "mock"];
+const AI_PROVIDER_CHAIN = resolveProviderChain(process.env.AI_PROVIDER_CHAIN, AI_PROVIDER);
+const AI_CIRCUIT_FAILURE_THRESHOLD = Number(process.env.AI_CIRCUIT_FAILURE_THRESHOLD) || 3;
+const AI_CIRCUIT_COOLDOWN_MS = Number(process.env.AI_CIRCUIT_COOLDOWN_MS) || 60_000;
+const AI_HTTP_TIMEOUT_MS = Number(process.env.AI_HTTP_TIMEOUT_MS) || 15_000;
+const AI_HTTP_MAX_RETRIES = Math.max(0, Number(process.env.AI_HTTP_MAX_RETRIES ?? 2) || 0);
+const AI_HTTP_RETRY_BASE_MS = Number(process.env.AI_HTTP_RETRY_BASE_MS) || 500;
+const AI_HTTP_RETRY_MAX_MS = Number(process.env.AI_HTTP_RETRY_MAX_MS) || 8_000;
+const MOCK_AI_SCENARIOS = (process.env.MOCK_AI_SCENARIOS || "success")
+  .split(",")
+  .map((name) => name.trim())
+  .filter(Boolean);
+const MOCK_AI_DELAY_MS = Number(process.env.MOCK_AI_DELAY_MS) || 0;
+const MOCK_AI_TIMEOUT_MS = Number(process.env.MOCK_AI_TIMEOUT_MS) || 100;
+const MOCK_AUTH_UID = process.env.MOCK_AUTH_UID;
+const RED_FLAG_RULES_PATH = process.env.RED_FLAG_RULES_PATH || path.join(dataDir, "red-flag-rules.json");
+const DRUG_INTERACTIONS_PATH = process.env.DRUG_INTERACTIONS_PATH || path.join(dataDir, "drug-interactions.json");
+const OUTPUT_GUARD_RULES_PATH = process.env.OUTPUT_GUARD_RULES_PATH || path.join(dataDir, "output-guard-rules.json");
+const CRISIS_RESOURCES_PATH = process.env.CRISIS_RESOURCES_PATH || path.join(dataDir, "crisis-resources.json");
+const AI_REVIEW_MIN_RED_FLAG_SEVERITY = process.env.AI_REVIEW_MIN_RED_FLAG_SEVERITY || "high";
+const AI_ESCALATION_MIN_URGENCY = process.env.AI_ESCALATION_MIN_URGENCY || "clinician";
+const PHI_REDACTION_LEVELS = ["off", "standard", "strict"];
+const PHI_REDACTION_LEVEL = PHI_REDACTION_LEVELS.includes(process.env.PHI_REDACTION_LEVEL)
+  ? process.env.PHI_REDACTION_LEVEL
+  : "standard";
 const NEON_DATABASE_URL = process.env.NEON_DATABASE_URL;
 const LOG_AI_REQUESTS = process.env.LOG_AI_REQUESTS === "true";
+const AI_LOG_UID_SALT = process.env.AI_LOG_UID_SALT || "";
+const DEFAULT_AI_QUOTA_PLANS = {
+  free: { daily: 20, monthly: 300 },
+  plus: { daily: 100, monthly: 2000 },
+  clinic: { daily: 1000, monthly: 20000 }
+};
+const AI_QUOTA_PLANS = resolveQuotaPlans(process.env.AI_QUOTA_PLANS);
+const AI_QUOTA_DEFAULT_PLAN = process.env.AI_QUOTA_DEFAULT_PLAN || "free";
 const PHARMACIST_USER = process.env.PHARMACIST_USER;
 const PHARMACIST_PASS = process.env.PHARMACIST_PASS;
 const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
@@ -78,6 +164,8 @@ const { VoiceGrant } = AccessToken;
 
 let pool;
 let dbInitPromise;
+let quotaDbInitPromise;
+const aiQuotaUsage = new Map();
 let firestore;
 let firebaseReady = false;
 
@@ -108,26 +196,61 @@ function initFirebaseAdmin() {
   }
 }
 
-if (!OPENAI_API_KEY && AI_PROVIDER === "openai") {
-  console.warn("Missing OPENAI_API_KEY. Set it in .env before calling /ai endpoints.");
+function resolveProviderChain(chainSetting, primary) {
+  // The mock provider never fails over to real vendors unless a chain says so explicitly.
+  const defaultChain = primary === "mock" ? ["mock"] : [primary, ...VENDOR_AI_PROVIDERS];
+  const requested = chainSetting
+    ? chainSetting.split(",").map((name) => name.trim().toLowerCase()).filter(Boolean)
+    : defaultChain;
+  const chain = [];
+  for (const name of requested) {
+    if (!KNOWN_AI_PROVIDERS.includes(name)) {
+      console.warn(`Unknown AI provider "${name}" in provider chain. Ignoring it.`);
+      continue;
+    }
+    if (!chain.includes(name)) chain.push(name);
+  }
+  return chain.length ? chain : [...VENDOR_AI_PROVIDERS];
+}
+
+if (AI_PROVIDER_CHAIN.includes("mock")) {
+  console.warn(`Mock AI provider enabled (scenarios: ${MOCK_AI_SCENARIOS.join(", ")}). Responses are synthetic.`);
+}
+
+function isMockAuthEnabled() {
+  return Boolean(MOCK_AUTH_UID) && AI_PROVIDER_CHAIN.every((name) => name === "mock");
+}
+
+if (MOCK_AUTH_UID && !isMockAuthEnabled()) {
+  console.warn("MOCK_AUTH_UID is ignored unless the AI provider chain is mock-only.");
+}
+
+if (!OPENAI_API_KEY && AI_PROVIDER_CHAIN.includes("openai")) {
+  console.warn("Missing OPENAI_API_KEY. OpenAI will be skipped in the provider chain.");
 }
 
-if (!GEMINI_API_KEY && AI_PROVIDER === "gemini") {
-  console.warn("Missing GEMINI_API_KEY (or GOOGLE_API_KEY). Set it in .env before calling /ai endpoints.");
+if (!GEMINI_API_KEY && AI_PROVIDER_CHAIN.includes("gemini")) {
+  console.warn("Missing GEMINI_API_KEY (or GOOGLE_API_KEY). Gemini will be skipped in the provider chain.");
 }
 
 if (LOG_AI_REQUESTS && !NEON_DATABASE_URL) {
   console.warn("LOG_AI_REQUESTS=true but NEON_DATABASE_URL is missing. Skipping DB logging.");
 }
 
+if (LOG_AI_REQUESTS && !AI_LOG_UID_SALT) {
+  console.warn("AI_LOG_UID_SALT is not set. AI request logs will not record uid_hash.");
+}
+
 if (!PHARMACIST_USER || !PHARMACIST_PASS) {
-  console.warn("Missing PHARMACIST_USER/PHARMACIST_PASS. Pharmacist console will be locked.");
+  console.warn("PHARMACIST_USER/PHARMACIST_PASS not set. The console only accepts accounts that already exist in Firestore.");
 }
 
 if (!TWILIO_ACCOUNT_SID || !TWILIO_API_KEY || !TWILIO_API_SECRET || !TWILIO_TWIML_APP_SID) {
   console.warn("Twilio Voice is not fully configured. Live in-app calls will be disabled.");
 }
 
+const AI_URGENCY_LEVELS = ["self-care", "monitor", "pharmacist", "clinician", "emergency"];
+
 const responseSchema = {
   type: "object",
   properties: {
@@ -147,10 +270,19 @@ const responseSchema = {
         required: ["title", "whyItMatters", "action"]
       }
     },
+    urgency: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        level: { type: "string", enum: AI_URGENCY_LEVELS },
+        rationale: { type: "string" }
+      },
+      required: ["level", "rationale"]
+    },
     questionsForClinician: { type: "array", items: { type: "string" } },
     disclaimer: { type: "string" }
   },
-  required: ["recap", "patterns", "suggestions", "redFlags", "questionsForClinician", "disclaimer"]
+  required: ["recap", "patterns", "suggestions", "redFlags", "urgency", "questionsForClinician", "disclaimer"]
 };
 
 const geminiResponseSchema = {
@@ -171,16 +303,107 @@ const geminiResponseSchema = {
         required: ["title", "whyItMatters", "action"]
       }
     },
+    urgency: {
+      type: "object",
+      properties: {
+        level: { type: "string", enum: AI_URGENCY_LEVELS },
+        rationale: { type: "string" }
+      },
+      required: ["level", "rationale"]
+    },
     questionsForClinician: { type: "array", items: { type: "string" } },
     disclaimer: { type: "string" }
   },
-  required: ["recap", "patterns", "suggestions", "redFlags", "questionsForClinician", "disclaimer"]
+  required: ["recap", "patterns", "suggestions", "redFlags", "urgency", "questionsForClinician", "disclaimer"]
+};
+
+const AI_REQUEST_LIMITS = {
+  maxEntries: Number(process.env.AI_MAX_ENTRIES) || 500,
+  maxJobEntries: Number(process.env.AI_JOB_MAX_ENTRIES) || 5000,
+  maxNotesLength: 2000,
+  maxQuestionLength: 2000,
+  maxAttachmentsPerEntry: 3,
+  maxAttachments: AI_MAX_IMAGES
+};
+
+const nullableString = (maxLength) => ({ type: ["string", "null"], maxLength });
+const nullableNumber = (minimum, maximum) => ({ type: ["number", "null"], minimum, maximum });
+const stringOrList = { type: ["string", "array", "null"], maxLength: 4000, maxItems: 100, items: { type: ["string", "object"] } };
+
+const aiRequestEntrySchema = {
+  type: "object",
+  properties: {
+    id: { type: ["string", "number"], maxLength: 128 },
+    symptomType: { type: "string", minLength: 1, maxLength: 120 },
+    severity: { type: "number", minimum: 0, maximum: 10 },
+    onset: { type: ["string", "null"], format: "date-time" },
+    durationMinutes: nullableNumber(0, 60 * 24 * 365),
+    triggers: { type: ["array", "null"], maxItems: 30, items: { type: "string", maxLength: 120 } },
+    notes: nullableString(AI_REQUEST_LIMITS.maxNotesLength),
+    medsTaken: { type: ["array", "null"], maxItems: 30, items: { type: ["string", "object"], maxLength: 200 } },
+    sleepHours: nullableNumber(0, 24),
+    hydrationLiters: nullableNumber(0, 20),
+    caffeineMg: nullableNumber(0, 5000),
+    alcoholUnits: nullableNumber(0, 100),
+    attachments: {
+      type: ["array", "null"],
+      maxItems: AI_REQUEST_LIMITS.maxAttachmentsPerEntry,
+      items: {
+        type: "object",
+        properties: {
+          mimeType: { type: "string", enum: AI_IMAGE_MIME_TYPES },
+          data: { type: "string", minLength: 1 },
+          caption: nullableString(200)
+        },
+        required: ["mimeType", "data"]
+      }
+    }
+  },
+  required: ["symptomType", "severity"]
+};
+
+const aiRequestSchema = {
+  type: "object",
+  properties: {
+    entries: { type: "array", maxItems: AI_REQUEST_LIMITS.maxEntries, items: aiRequestEntrySchema },
+    timeframe: {
+      type: ["object", "null"],
+      properties: {
+        start: { type: "string", format: "date-time" },
+        end: { type: "string", format: "date-time" }
+      },
+      required: ["start", "end"]
+    },
+    userPrefs: {
+      type: ["object", "null"],
+      properties: {
+        dataMinimizationOn: { type: ["boolean", "null"] }
+      }
+    },
+    locale: nullableString(35),
+    timezone: { type: ["string", "null"], maxLength: 64, format: "timezone" },
+    userQuestion: nullableString(AI_REQUEST_LIMITS.maxQuestionLength),
+    preferredLanguage: nullableString(40),
+    medicalContext: {
+      type: ["object", "null"],
+      properties: {
+        allergies: stringOrList,
+        chronicConditions: stringOrList,
+        currentMedications: stringOrList,
+        surgeries: stringOrList,
+        familyHistory: stringOrList,
+        notes: nullableString(4000),
+        recentHealthHistory: { type: ["array", "null"], maxItems: 50 }
+      }
+    }
+  },
+  required: ["entries"]
 };
 
-const systemPrompt = `You are Symptom Nerd AI, a structured symptom-pattern assistant.\n- You are informational only: do not diagnose, prescribe, or claim certainty.\n- Always analyze all shared logs jointly across the timeframe before answering.\n- Use medicalContext (allergies, chronic conditions, medications, surgeries, family history, notes, recent health history) as key context for interpretation.\n- Weigh current symptom logs with medical profile/history together, and call out when historical context may influence possible explanations or risk.\n- Acknowledge the user's concern directly and reference symptom trends, severity, triggers, and timing from logs.\n- Suggest a wide range of plausible, non-diagnostic possibilities and practical next-step options.\n- If medication names are present, include interaction-safety cautions and recommend pharmacist review for interaction checks.\n- Ask targeted follow-up questions in "questionsForClinician" whenever uncertainty remains.\n- If risk is elevated, uncertainty remains high, or symptoms persist/worsen, explicitly recommend pharmacist chat/call.\n- Include emergency guidance when relevant: "If you think this may be an emergency, call your local emergency number."\n- Respect preferred language if provided in payload.\n- Output must strictly match the JSON schema.\n- Keep tone calm, clear, and non-alarming.`;
+const systemPrompt = `You are Symptom Nerd AI, a structured symptom-pattern assistant.\n- You are informational only: do not diagnose, prescribe, or claim certainty.\n- Always analyze all shared logs jointly across the timeframe before answering.\n- Use medicalContext (allergies, chronic conditions, medications, surgeries, family history, notes, recent health history) as key context for interpretation.\n- Weigh current symptom logs with medical profile/history together, and call out when historical context may influence possible explanations or risk.\n- Acknowledge the user's concern directly and reference symptom trends, severity, triggers, and timing from logs.\n- Suggest a wide range of plausible, non-diagnostic possibilities and practical next-step options.\n- If medication names are present, include interaction-safety cautions and recommend pharmacist review for interaction checks.\n- Ask targeted follow-up questions in "questionsForClinician" whenever uncertainty remains.\n- If risk is elevated, uncertainty remains high, or symptoms persist/worsen, explicitly recommend pharmacist chat/call.\n- Set urgency.level to the lowest fitting level: self-care (manage at home), monitor (keep tracking, watch for changes), pharmacist (speak to a pharmacist soon), clinician (see a doctor or nurse soon), emergency (call the local emergency number now). Give a one or two sentence urgency.rationale grounded in the logs.\n- Include emergency guidance when relevant: "If you think this may be an emergency, call your local emergency number."\n- payload.computedStats holds statistics the server computed from the logs (symptom frequency, severity trend slopes in points per day, time-of-day clustering, lifestyle correlations). Treat them as established facts, cite them where useful, and do not contradict or recompute them; correlations are associations, not causes.\n- Bracketed placeholders such as [NAME_1], [EMAIL_1], [PHONE_1], [ADDRESS_1], [DOB_1], [ID_1], [DATE_1] or [POSTCODE_1] stand in for redacted personal details. Reuse them verbatim when needed and never guess what they hide.\n- Entries may list photo attachments by ref (e.g. image_1); each image follows the payload, labelled "Attachment <ref>:". Describe only what is visible, never diagnose from a photo, and suggest in-person assessment for anything that looks concerning.\n- When payload.period is present, the entries are one period of a longer history: summarise that period only, since the periods are combined later.\n- When payload.periodSummaries is present, the raw entries of a long history were summarised period by period; synthesise across those summaries and payload.computedStats (which cover the whole history) to answer the user's question.\n- Respect preferred language if provided in payload.\n- Output must strictly match the JSON schema.\n- Keep tone calm, clear, and non-alarming.`;
 
-function getPool() {
-  if (!LOG_AI_REQUESTS || !NEON_DATABASE_URL) return null;
+function getDatabasePool() {
+  if (!NEON_DATABASE_URL) return null;
   if (!pool) {
     pool = new Pool({
       connectionString: NEON_DATABASE_URL,
@@ -190,22 +413,607 @@ function getPool() {
   return pool;
 }
 
-function requirePharmacistAuth(req, res, next) {
-  if (!PHARMACIST_USER || !PHARMACIST_PASS) {
-    return res.status(500).json({ error: "Pharmacist console not configured." });
+function getPool() {
+  if (!LOG_AI_REQUESTS) return null;
+  return getDatabasePool();
+}
+
+const PHARMACIST_ACCOUNTS_COLLECTION = "pharmacist_accounts";
+const PHARMACIST_LOGINS_COLLECTION = "pharmacist_logins";
+const PHARMACIST_ROLE_RANK = { pharmacist: 1, supervisor: 2, admin: 3 };
+const PHARMACIST_USERNAME_PATTERN = /^[a-z0-9._-]{3,64}$/;
+const PHARMACIST_MIN_PASSWORD_LENGTH = 10;
+const PHARMACIST_SESSION_COOKIE = "sn_pharmacist_session";
+const PHARMACIST_SESSION_TTL_MS = (Number(process.env.PHARMACIST_SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+// Role changes and disabled accounts take effect on live sessions within this window.
+const PHARMACIST_SESSION_CACHE_MS = 60 * 1000;
+const PASSWORD_HASH_PARAMS = { N: 16384, r: 8, p: 1, keyLength: 64 };
+// Only own keys count, so "constructor" or "toString" are not roles.
+function pharmacistRoleRank(role) {
+  return typeof role === "string" && Object.hasOwn(PHARMACIST_ROLE_RANK, role) ? PHARMACIST_ROLE_RANK[role] : 0;
+}
+const PHARMACIST_TOTP_REQUIRED_ROLES = new Set(
+  String(process.env.PHARMACIST_TOTP_REQUIRED_ROLES || "")
+    .split(",")
+    .map((role) => role.trim().toLowerCase())
+    .filter((role) => pharmacistRoleRank(role))
+);
+const PHARMACIST_TOTP_ISSUER = process.env.PHARMACIST_TOTP_ISSUER || "Symptom Nerd";
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_MAX_FAILURES = 5;
+// Bad codes count against the account, whichever login or session sent them, so a fresh login does not reset them.
+const TOTP_LOCKOUT_MS = 15 * 60 * 1000;
+const TOTP_LOCKED_MESSAGE = "Too many invalid codes. Try again in 15 minutes.";
+const PHARMACIST_RECOVERY_CODE_COUNT = 10;
+// A session that has passed the password but not the second factor only lives long enough to finish it.
+const PHARMACIST_PENDING_SESSION_MS = 10 * 60 * 1000;
+const PHARMACIST_SESSION_SWEEP_MS = 60 * 60 * 1000;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const pharmacistSessionCache = new Map();
+let bootstrapAdminPromise;
+let dummyPasswordHashPromise;
+
+function scryptAsync(password, salt, keyLength, { N, r, p }) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keyLength, { N, r, p }, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+async function hashPassword(password) {
+  const { N, r, p, keyLength } = PASSWORD_HASH_PARAMS;
+  const salt = crypto.randomBytes(16);
+  const key = await scryptAsync(String(password), salt, keyLength, { N, r, p });
+  return ["scrypt", N, r, p, salt.toString("base64"), key.toString("base64")].join("$");
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const key = await scryptAsync(String(password), Buffer.from(salt, "base64"), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(key, expected);
+}
+
+function normalizeUsername(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function validatePharmacistPassword(password) {
+  return typeof password === "string" && password.length >= PHARMACIST_MIN_PASSWORD_LENGTH && password.length <= 200
+    ? null
+    : `Password must be ${PHARMACIST_MIN_PASSWORD_LENGTH} to 200 characters.`;
+}
+
+function publicPharmacistAccount(account) {
+  return {
+    username: account.username,
+    displayName: account.displayName || account.username,
+    role: account.role,
+    disabled: Boolean(account.disabled),
+    totpEnabled: Boolean(account.totpEnabled),
+    createdAt: serializeValue(account.createdAt) || null,
+    lastLoginAt: serializeValue(account.lastLoginAt) || null
+  };
+}
+
+// Seeds the first admin from PHARMACIST_USER/PHARMACIST_PASS so existing deployments keep working.
+function ensureBootstrapAdmin() {
+  if (!PHARMACIST_USER || !PHARMACIST_PASS) return Promise.resolve();
+  bootstrapAdminPromise ||= (async () => {
+    const accounts = firestore.collection(PHARMACIST_ACCOUNTS_COLLECTION);
+    const existing = await accounts.limit(1).get();
+    if (!existing.empty) return;
+    const username = normalizeUsername(PHARMACIST_USER);
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    await accounts.doc(username).set({
+      username,
+      displayName: PHARMACIST_USER,
+      role: "admin",
+      passwordHash: await hashPassword(PHARMACIST_PASS),
+      disabled: false,
+      createdAt: now,
+      updatedAt: now
+    });
+    console.log(`Created console admin account "${username}" from PHARMACIST_USER.`);
+  })().catch((err) => {
+    bootstrapAdminPromise = null;
+    throw err;
+  });
+  return bootstrapAdminPromise;
+}
+
+// Unknown usernames still pay for a hash check so response times do not reveal which accounts exist.
+async function authenticatePharmacist(username, password) {
+  await ensureBootstrapAdmin();
+  const normalized = normalizeUsername(username);
+  const snapshot = PHARMACIST_USERNAME_PATTERN.test(normalized)
+    ? await firestore.collection(PHARMACIST_ACCOUNTS_COLLECTION).doc(normalized).get()
+    : null;
+  const account = snapshot?.exists ? snapshot.data() : null;
+  dummyPasswordHashPromise ||= hashPassword(crypto.randomUUID());
+  const valid = await verifyPassword(password, account?.passwordHash || (await dummyPasswordHashPromise));
+  return account && valid && !account.disabled ? account : null;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || "").split(";")) {
+    const separator = part.indexOf("=");
+    if (separator === -1) continue;
+    const name = part.slice(0, separator).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(separator + 1).trim());
+    } catch {
+      // Ignore malformed cookie values.
+    }
+  }
+  return cookies;
+}
+
+function sessionTokenHash(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function pharmacistCookieOptions(req) {
+  return {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: req.secure,
+    path: "/pharmacist"
+  };
+}
+
+function totpRequiredFor(account) {
+  return PHARMACIST_TOTP_REQUIRED_ROLES.has(account?.role);
+}
+
+// pendingStep is "totp" until the code is checked, or "enroll" when the role needs 2FA the account lacks.
+function pendingStepFor(account, sessionPendingStep = null) {
+  if (sessionPendingStep === "totp" && account.totpEnabled) return "totp";
+  if (totpRequiredFor(account) && !account.totpEnabled) return "enroll";
+  return null;
+}
+
+async function createPharmacistSession(req, res, account) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const pendingStep = account.totpEnabled ? "totp" : null;
+  await firestore
+    .collection(PHARMACIST_LOGINS_COLLECTION)
+    .doc(sessionTokenHash(token))
+    .set({
+      username: account.username,
+      pendingStep,
+      ip: req.ip || null,
+      userAgent: String(req.get("user-agent") || "").slice(0, 200),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: admin.firestore.Timestamp.fromMillis(
+        Date.now() + (pendingStepFor(account, pendingStep) ? PHARMACIST_PENDING_SESSION_MS : PHARMACIST_SESSION_TTL_MS)
+      )
+    });
+  res.cookie(PHARMACIST_SESSION_COOKIE, token, { ...pharmacistCookieOptions(req), maxAge: PHARMACIST_SESSION_TTL_MS });
+  return pendingStepFor(account, pendingStep);
+}
+
+async function pharmacistFromSession(req, { allowPending = false } = {}) {
+  const token = parseCookies(req.headers.cookie)[PHARMACIST_SESSION_COOKIE];
+  if (!token) return null;
+  const sessionId = sessionTokenHash(token);
+  const cached = pharmacistSessionCache.get(sessionId);
+  if (cached && Date.now() - cached.checkedAt < PHARMACIST_SESSION_CACHE_MS && cached.expiresAt > Date.now()) {
+    return allowPending || !cached.pharmacist.pendingStep ? cached.pharmacist : null;
   }
+  pharmacistSessionCache.delete(sessionId);
+  const snapshot = await firestore.collection(PHARMACIST_LOGINS_COLLECTION).doc(sessionId).get();
+  const session = snapshot.exists ? snapshot.data() : null;
+  const expiresAt = timestampToMillis(session?.expiresAt);
+  if (!session || expiresAt <= Date.now()) return null;
+  const accountSnapshot = await firestore.collection(PHARMACIST_ACCOUNTS_COLLECTION).doc(session.username).get();
+  const account = accountSnapshot.exists ? accountSnapshot.data() : null;
+  if (!account || account.disabled) return null;
+  const pharmacist = {
+    username: account.username,
+    displayName: account.displayName || account.username,
+    role: account.role,
+    sessionId,
+    pendingStep: pendingStepFor(account, session.pendingStep),
+    totpEnabled: Boolean(account.totpEnabled)
+  };
+  pharmacistSessionCache.set(sessionId, { pharmacist, expiresAt, checkedAt: Date.now() });
+  return allowPending || !pharmacist.pendingStep ? pharmacist : null;
+}
+
+// Basic auth with a named account stays available for scripts. The password is everything after the first colon.
+// Accounts with 2FA must also send the current code in X-Pharmacist-TOTP; bad codes count against the account.
+async function pharmacistFromBasicAuth(req) {
   const header = req.headers.authorization || "";
-  if (!header.startsWith("Basic ")) {
-    res.setHeader("WWW-Authenticate", "Basic");
-    return res.status(401).send("Authentication required.");
+  if (!header.startsWith("Basic ")) return null;
+  const decoded = Buffer.from(header.slice("Basic ".length), "base64").toString("utf8");
+  const separator = decoded.indexOf(":");
+  if (separator === -1) return null;
+  const account = await authenticatePharmacist(decoded.slice(0, separator), decoded.slice(separator + 1));
+  if (!account || pendingStepFor(account) === "enroll") return null;
+  if (account.totpEnabled) {
+    const { valid, locked } = await consumeTotpCode(account.username, req.get("x-pharmacist-totp"));
+    if (!valid) {
+      await recordAudit(req, {
+        action: locked ? "auth.totp_locked" : "auth.totp_failed",
+        actor: { username: account.username, role: account.role, authMethod: "basic" },
+        target: `${PHARMACIST_ACCOUNTS_COLLECTION}/${account.username}`,
+        changes: {},
+        metadata: { method: "basic" }
+      });
+      return null;
+    }
+  }
+  return {
+    username: account.username,
+    displayName: account.displayName || account.username,
+    role: account.role,
+    sessionId: null,
+    pendingStep: null,
+    totpEnabled: Boolean(account.totpEnabled)
+  };
+}
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
   }
-  const base64 = header.replace("Basic ", "");
-  const decoded = Buffer.from(base64, "base64").toString("utf8");
-  const [user, pass] = decoded.split(":");
-  if (user !== PHARMACIST_USER || pass !== PHARMACIST_PASS) {
-    return res.status(403).send("Invalid credentials.");
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of String(text).toUpperCase().replace(/[^A-Z2-7]/g, "")) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
   }
-  return next();
+  return Buffer.from(bytes);
+}
+
+// RFC 6238 with the defaults every authenticator app supports: SHA-1, 6 digits, 30-second steps.
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 15;
+  return String((digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+// Accepts one step of clock drift either way and never the same or an earlier step twice.
+function matchTotpStep(secret, code, lastStep = 0) {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!secret || !/^\d{6}$/.test(normalized)) return null;
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    if (step <= lastStep) continue;
+    if (crypto.timingSafeEqual(Buffer.from(totpCode(secret, step)), Buffer.from(normalized))) return step;
+  }
+  return null;
+}
+
+function totpLockedOut(account) {
+  return timestampToMillis(account.totpLockedUntil) > Date.now();
+}
+
+// Counts a bad code on the account inside the caller's transaction and locks it after TOTP_MAX_FAILURES.
+function countTotpFailure(tx, ref, account) {
+  const failures = Number(account.totpFailures || 0) + 1;
+  const locked = failures >= TOTP_MAX_FAILURES;
+  tx.set(
+    ref,
+    locked
+      ? { totpFailures: 0, totpLockedUntil: admin.firestore.Timestamp.fromMillis(Date.now() + TOTP_LOCKOUT_MS) }
+      : { totpFailures: failures },
+    { merge: true }
+  );
+  return locked;
+}
+
+// Reads and advances totpLastStep in one transaction, so two requests cannot both spend the same code.
+async function consumeTotpCode(username, code) {
+  const ref = firestore.collection(PHARMACIST_ACCOUNTS_COLLECTION).doc(username);
+  return firestore.runTransaction(async (tx) => {
+    const account = (await tx.get(ref)).data() || {};
+    if (totpLockedOut(account)) return { valid: false, locked: true };
+    const step = matchTotpStep(account.totpSecret, code, account.totpLastStep || 0);
+    if (step !== null) {
+      tx.set(ref, { totpLastStep: step, totpFailures: 0 }, { merge: true });
+      return { valid: true, locked: false };
+    }
+    return { valid: false, locked: countTotpFailure(tx, ref, account) };
+  });
+}
+
+// Removes the code from the account in the same transaction that checks it. remaining is the number left.
+async function consumeRecoveryCode(username, code) {
+  const ref = firestore.collection(PHARMACIST_ACCOUNTS_COLLECTION).doc(username);
+  return firestore.runTransaction(async (tx) => {
+    const account = (await tx.get(ref)).data() || {};
+    if (totpLockedOut(account)) return { valid: false, locked: true };
+    const hashes = account.recoveryCodeHashes || [];
+    const remaining = hashes.filter((hash) => hash !== hashRecoveryCode(code));
+    if (remaining.length === hashes.length) {
+      return { valid: false, locked: countTotpFailure(tx, ref, account) };
+    }
+    tx.set(ref, { recoveryCodeHashes: remaining, totpFailures: 0 }, { merge: true });
+    return { valid: true, locked: false, remaining: remaining.length };
+  });
+}
+
+// Checks a code against the secret being enrolled, with the same per-account failure count as sign-in.
+async function confirmTotpEnrollmentCode(username, code) {
+  const ref = firestore.collection(PHARMACIST_ACCOUNTS_COLLECTION).doc(username);
+  return firestore.runTransaction(async (tx) => {
+    const account = (await tx.get(ref)).data() || {};
+    if (totpLockedOut(account)) return { step: null, locked: true };
+    const step = matchTotpStep(account.totpPendingSecret, code);
+    if (step !== null) return { step, locked: false };
+    return { step: null, locked: countTotpFailure(tx, ref, account) };
+  });
+}
+
+function totpProvisioningUri(username, secret) {
+  const label = encodeURIComponent(`${PHARMACIST_TOTP_ISSUER}:${username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: PHARMACIST_TOTP_ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+}
+
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: PHARMACIST_RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+async function loadPharmacistAccount(username) {
+  const snapshot = await firestore.collection(PHARMACIST_ACCOUNTS_COLLECTION).doc(username).get();
+  return snapshot.exists ? snapshot.data() : null;
+}
+
+async function completePharmacistSession(pharmacist) {
+  pharmacistSessionCache.delete(pharmacist.sessionId);
+  await firestore
+    .collection(PHARMACIST_LOGINS_COLLECTION)
+    .doc(pharmacist.sessionId)
+    .set(
+      {
+        pendingStep: null,
+        expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + PHARMACIST_SESSION_TTL_MS)
+      },
+      { merge: true }
+    );
+}
+
+function requirePendingPharmacist(req, res, next) {
+  pharmacistFromSession(req, { allowPending: true })
+    .then((pharmacist) => {
+      if (!pharmacist) {
+        return res.status(401).json({ error: "Sign in first." });
+      }
+      req.pharmacist = pharmacist;
+      return next();
+    })
+    .catch((err) => {
+      console.error("Failed to check console login:", err?.message || err);
+      res.status(500).json({ error: "Failed to check console login." });
+    });
+}
+
+async function revokePharmacistSessions(username, { exceptSessionId = null } = {}) {
+  const snapshot = await firestore.collection(PHARMACIST_LOGINS_COLLECTION).where("username", "==", username).get();
+  await Promise.all(snapshot.docs.filter((doc) => doc.id !== exceptSessionId).map((doc) => doc.ref.delete()));
+  for (const [sessionId, cached] of pharmacistSessionCache) {
+    if (cached.pharmacist.username === username && sessionId !== exceptSessionId) {
+      pharmacistSessionCache.delete(sessionId);
+    }
+  }
+}
+
+async function requirePharmacistAuth(req, res, next) {
+  if (req.pharmacist) return next();
+  try {
+    const pharmacist = (await pharmacistFromSession(req)) || (await pharmacistFromBasicAuth(req));
+    if (!pharmacist) {
+      if (req.method === "GET" && !req.originalUrl.startsWith("/pharmacist/api") && req.accepts("html")) {
+        return res.redirect("/pharmacist/login");
+      }
+      return res.status(401).json({ error: "Authentication required." });
+    }
+    req.pharmacist = pharmacist;
+    return next();
+  } catch (err) {
+    console.error("Failed to check console login:", err?.message || err);
+    return res.status(500).json({ error: "Failed to check console login." });
+  }
+}
+
+// Expired login records are never read again, so they are deleted in the background.
+async function deleteExpiredPharmacistSessions() {
+  let deleted = 0;
+  for (;;) {
+    const snapshot = await firestore
+      .collection(PHARMACIST_LOGINS_COLLECTION)
+      .where("expiresAt", "<=", admin.firestore.Timestamp.now())
+      .limit(500)
+      .get();
+    if (snapshot.empty) break;
+    const batch = firestore.batch();
+    snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snapshot.size;
+    if (snapshot.size < 500) break;
+  }
+  if (deleted) {
+    console.log(`Deleted ${deleted} expired console session(s).`);
+  }
+}
+
+function requirePharmacistRole(role) {
+  const required = pharmacistRoleRank(role);
+  return (req, res, next) => {
+    if (required && pharmacistRoleRank(req.pharmacist?.role) >= required) return next();
+    return res.status(403).json({ error: `This action needs the ${role} role.` });
+  };
+}
+
+const PHARMACIST_AUDIT_COLLECTION = "pharmacist_audit_log";
+const AUDIT_PAGE_SIZE = 500;
+const AUDIT_VIEW_MAX_ROWS = 1000;
+const AUDIT_EXPORT_MAX_ROWS = 20000;
+// Upper bound on documents read per audit query, since actor/action/target are filtered in memory.
+const AUDIT_SCAN_MAX_DOCS = 100000;
+const AUDIT_REDACTED_FIELDS = new Set(["passwordHash", "totpSecret", "totpPendingSecret", "recoveryCodeHashes"]);
+const AUDIT_IGNORED_FIELDS = new Set(["updatedAt"]);
+
+function auditValue(field, value) {
+  if (AUDIT_REDACTED_FIELDS.has(field)) return value ? "[redacted]" : null;
+  if (value instanceof admin.firestore.FieldValue) return new Date().toISOString();
+  return serializeValue(value) ?? null;
+}
+
+// Field-level before/after for the keys a route wrote. Secrets are recorded as changed, never by value.
+function auditDiff(before = {}, after = {}) {
+  const changes = {};
+  for (const [field, value] of Object.entries(after || {})) {
+    if (AUDIT_IGNORED_FIELDS.has(field)) continue;
+    const previous = auditValue(field, before?.[field]);
+    const next = auditValue(field, value);
+    if (AUDIT_REDACTED_FIELDS.has(field) ? value !== undefined : JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes[field] = { before: previous, after: next };
+    }
+  }
+  return changes;
+}
+
+// Append-only: entries are only ever created, and no console route updates or deletes them.
+// A failed write is logged rather than failing an action that has already happened. req is null for system actions.
+async function recordAudit(req, { action, target = null, before, after, changes, metadata = null, actor = null }) {
+  try {
+    const pharmacist = actor || req?.pharmacist || {};
+    const ref = firestore.collection(PHARMACIST_AUDIT_COLLECTION).doc();
+    await ref.set({
+      id: ref.id,
+      actor: pharmacist.username || null,
+      actorRole: pharmacist.role || null,
+      authMethod: pharmacist.authMethod || (pharmacist.sessionId ? "session" : pharmacist.username ? "basic" : null),
+      action,
+      target,
+      changes: changes || auditDiff(before, after),
+      metadata,
+      ip: req?.ip || null,
+      userAgent: String(req?.get("user-agent") || "").slice(0, 200),
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (err) {
+    console.error(`Failed to write audit entry for ${action}:`, err?.message || err);
+  }
+}
+
+function parseAuditFilters(query = {}) {
+  const clean = (value) => String(value || "").trim().slice(0, 200);
+  return {
+    ...parseAnalyticsRange(query),
+    actor: normalizeUsername(query.actor),
+    action: clean(query.action),
+    target: clean(query.target)
+  };
+}
+
+// Pages through the date range newest first and keeps entries matching actor, action prefix and target substring.
+async function loadAuditEntries(filters, maxRows) {
+  const entries = [];
+  let scanned = 0;
+  let cursor = null;
+  let truncated = false;
+  while (scanned < AUDIT_SCAN_MAX_DOCS) {
+    let query = firestore
+      .collection(PHARMACIST_AUDIT_COLLECTION)
+      .where("createdAt", ">=", admin.firestore.Timestamp.fromDate(filters.start))
+      .where("createdAt", "<", admin.firestore.Timestamp.fromDate(filters.end))
+      .orderBy("createdAt", "desc")
+      .limit(AUDIT_PAGE_SIZE);
+    if (cursor) query = query.startAfter(cursor);
+    const snapshot = await query.get();
+    scanned += snapshot.size;
+    for (const doc of snapshot.docs) {
+      const entry = serializeDoc(doc);
+      if (filters.actor && entry.actor !== filters.actor) continue;
+      if (filters.action && !String(entry.action || "").startsWith(filters.action)) continue;
+      if (filters.target && !String(entry.target || "").includes(filters.target)) continue;
+      if (entries.length >= maxRows) {
+        truncated = true;
+        return { entries, truncated };
+      }
+      entries.push(entry);
+    }
+    if (snapshot.size < AUDIT_PAGE_SIZE) return { entries, truncated };
+    cursor = snapshot.docs[snapshot.docs.length - 1];
+  }
+  return { entries, truncated: true };
+}
+
+// Quotes every cell and defuses leading =, +, - and @ so spreadsheets do not evaluate audit text as formulas.
+function csvCell(value) {
+  let text = value ?? "";
+  text = typeof text === "object" ? JSON.stringify(text) : String(text);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function auditEntriesToCsv(entries) {
+  const columns = [
+    "createdAt",
+    "actor",
+    "actorRole",
+    "authMethod",
+    "action",
+    "target",
+    "changes",
+    "metadata",
+    "ip",
+    "userAgent"
+  ];
+  const lines = [columns.join(",")];
+  for (const entry of entries) {
+    lines.push(columns.map((column) => csvCell(entry[column])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
 }
 
 function ensureFirebase(req, res, next) {
@@ -315,6 +1123,21 @@ function extractBearerToken(req) {
 
 const CALLS_COLLECTION = "pharmacist_call_requests";
 const PRESENCE_COLLECTION = "pharmacist_presence";
+const MEDICATION_SAFETY_COLLECTION = "medication_safety";
+const MEDICATION_SAFETY_TTL_MS = (Number(process.env.MEDICATION_SAFETY_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const AI_CONVERSATIONS_COLLECTION = "ai_conversations";
+const AI_RESPONSES_COLLECTION = "ai_responses";
+const AI_FEEDBACK_RATINGS = new Set(["up", "down"]);
+const AI_REVIEW_STATUSES = new Set(["pending", "reviewed", "dismissed"]);
+const AI_REVIEW_PAGE_SIZE = 50;
+const CONVERSATION_CONTEXT_MESSAGES = 6;
+const CONVERSATION_SUMMARY_BATCH = 4;
+const CONVERSATION_SUMMARY_MAX_CHARS = 2000;
+const AI_ANALYSIS_JOBS_COLLECTION = "ai_analysis_jobs";
+const AI_JOB_CHUNK_ENTRIES = Math.max(10, Number(process.env.AI_JOB_CHUNK_ENTRIES) || 100);
+const AI_JOB_CONCURRENCY = Math.max(1, Number(process.env.AI_JOB_CONCURRENCY) || 1);
+const AI_JOB_STALE_MS = Math.max(60000, Number(process.env.AI_JOB_STALE_MS) || 10 * 60 * 1000);
+const AI_JOB_MAX_QUEUED = Math.max(1, Number(process.env.AI_JOB_MAX_QUEUED) || 20);
 const ACTIVE_CALL_STATUSES = ["requested", "queued", "ringing", "in_progress"];
 const TERMINAL_CALL_STATUSES = new Set(["completed", "failed", "cancelled", "missed"]);
 const USER_UPDATABLE_CALL_STATUSES = new Set(["ringing", "in_progress", "completed", "failed", "cancelled", "missed"]);
@@ -358,6 +1181,17 @@ function resolveCallerName(decoded) {
 }
 
 async function verifyFirebaseUserFromRequest(req) {
+  if (isMockAuthEnabled() && req.path.startsWith("/ai/")) {
+    return {
+      decoded: { uid: MOCK_AUTH_UID },
+      uid: MOCK_AUTH_UID,
+      identity: sanitizeIdentity(`user_${MOCK_AUTH_UID}`),
+      callerName: "Mock User",
+      firstName: "Mock",
+      lastName: "User",
+      userEmail: ""
+    };
+  }
   const idToken = extractBearerToken(req);
   if (!idToken) {
     const error = new Error("Missing Firebase ID token.");
@@ -431,9 +1265,12 @@ async function rebalanceCallQueue() {
 async function deleteCollectionDocs(collectionRef) {
   const snapshot = await collectionRef.get();
   if (snapshot.empty) return 0;
-  const batch = firestore.batch();
-  snapshot.docs.forEach((doc) => batch.delete(doc.ref));
-  await batch.commit();
+  // Firestore batches cap at 500 writes.
+  for (let index = 0; index < snapshot.docs.length; index += 400) {
+    const batch = firestore.batch();
+    snapshot.docs.slice(index, index + 400).forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+  }
   return snapshot.size;
 }
 
@@ -450,6 +1287,7 @@ async function resetPharmacistData() {
   if (!sessionsSnapshot.empty) {
     await sessionBatch.commit();
   }
+  resetSessionSearchIndex();
 
   const callsSnapshot = await firestore.collection(CALLS_COLLECTION).get();
   const callsBatch = firestore.batch();
@@ -465,6 +1303,15 @@ async function resetPharmacistData() {
     await presenceBatch.commit();
   }
 
+  const medicationSafetySnapshot = await firestore.collection(MEDICATION_SAFETY_COLLECTION).get();
+  const medicationSafetyBatch = firestore.batch();
+  medicationSafetySnapshot.docs.forEach((doc) => medicationSafetyBatch.delete(doc.ref));
+  if (!medicationSafetySnapshot.empty) {
+    await medicationSafetyBatch.commit();
+  }
+
+  const deletedAIResponses = await deleteCollectionDocs(firestore.collection(AI_RESPONSES_COLLECTION));
+
   if (LOG_AI_REQUESTS) {
     const sqlPool = getPool();
     if (sqlPool) {
@@ -477,54 +1324,887 @@ async function resetPharmacistData() {
     deletedSessions: sessionsSnapshot.size,
     deletedMessages,
     deletedCalls: callsSnapshot.size,
-    deletedPresenceDocs: presenceSnapshot.size
+    deletedPresenceDocs: presenceSnapshot.size,
+    deletedMedicationSafetyDocs: medicationSafetySnapshot.size,
+    deletedAIResponses
   };
 }
 
-app.use("/pharmacist", requirePharmacistAuth, express.static(publicDir));
-app.get("/pharmacist", requirePharmacistAuth, (req, res) => {
-  res.sendFile(path.join(publicDir, "pharmacist.html"));
+// The login page and its assets are the only console files served without a session.
+app.get("/pharmacist/login", (_req, res) => {
+  res.sendFile(path.join(publicDir, "pharmacist-login.html"));
 });
+app.get(
+  ["/pharmacist/pharmacist.css", "/pharmacist/pharmacist-login.js", "/pharmacist/qrcode-generator.js"],
+  (req, res) => {
+    res.sendFile(path.join(publicDir, path.basename(req.path)));
+  }
+);
 
-app.use("/pharmacist/api", requirePharmacistAuth, ensureFirebase);
-
-app.get("/pharmacist/api/sessions", async (req, res) => {
+app.post("/pharmacist/auth/login", pharmacistLoginRateLimit, ensureFirebase, async (req, res) => {
+  const { username, password } = req.body || {};
+  if (typeof username !== "string" || typeof password !== "string" || !username || !password) {
+    return res.status(400).json({ error: "Username and password are required." });
+  }
   try {
-    const snapshot = await firestore
-      .collection("pharmacist_sessions")
-      .orderBy("updatedAt", "desc")
-      .limit(50)
-      .get();
-    const sessions = snapshot.docs.map(serializeDoc);
-    res.json({ sessions });
-  } catch (err) {
-    if (isFirestoreQuotaExceeded(err)) {
-      return res.status(429).json({
-        error:
-          "Firestore quota exceeded. Open Firebase Billing to upgrade, or wait for quota reset (daily reset around midnight Pacific)."
+    const account = await authenticatePharmacist(username, password);
+    if (!account) {
+      await recordAudit(req, {
+        action: "auth.login_failed",
+        changes: {},
+        metadata: { username: normalizeUsername(username).slice(0, 64) }
       });
+      return res.status(401).json({ error: "Invalid username or password." });
     }
-    res.status(500).json({ error: err?.message || "Failed to load sessions." });
+    const pendingStep = await createPharmacistSession(req, res, account);
+    await firestore
+      .collection(PHARMACIST_ACCOUNTS_COLLECTION)
+      .doc(account.username)
+      .set({ lastLoginAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+    await recordAudit(req, {
+      action: "auth.login",
+      actor: { username: account.username, role: account.role, authMethod: "password" },
+      target: `${PHARMACIST_ACCOUNTS_COLLECTION}/${account.username}`,
+      changes: {},
+      metadata: { pendingStep }
+    });
+    return res.json({ ok: true, pendingStep, account: publicPharmacistAccount(account) });
+  } catch (err) {
+    console.error("Failed to sign in:", err?.message || err);
+    return res.status(500).json({ error: "Failed to sign in." });
   }
 });
 
-app.get("/pharmacist/api/sessions/:id/messages", async (req, res) => {
+app.get("/pharmacist/auth/status", ensureFirebase, async (req, res) => {
   try {
-    const { id } = req.params;
-    const snapshot = await firestore
-      .collection("pharmacist_sessions")
-      .doc(id)
-      .collection("messages")
-      .orderBy("createdAt", "asc")
-      .get();
-    const messages = snapshot.docs.map(serializeDoc);
-    res.json({ messages });
+    const pharmacist = await pharmacistFromSession(req, { allowPending: true });
+    if (!pharmacist) {
+      return res.json({ signedIn: false });
+    }
+    return res.json({
+      signedIn: true,
+      username: pharmacist.username,
+      pendingStep: pharmacist.pendingStep,
+      totpEnabled: pharmacist.totpEnabled
+    });
   } catch (err) {
-    res.status(500).json({ error: err?.message || "Failed to load messages." });
+    console.error("Failed to check console login:", err?.message || err);
+    return res.status(500).json({ error: "Failed to check console login." });
   }
 });
 
-app.post("/pharmacist/api/sessions/:id/messages", async (req, res) => {
+// Second login step. Takes either the current authenticator code or one unused recovery code.
+app.post("/pharmacist/auth/totp", pharmacistLoginRateLimit, ensureFirebase, requirePendingPharmacist, async (req, res) => {
+  const { code, recoveryCode } = req.body || {};
+  if (req.pharmacist.pendingStep !== "totp") {
+    return res.status(409).json({ error: "This session is not waiting for a code." });
+  }
+  try {
+    const account = await loadPharmacistAccount(req.pharmacist.username);
+    const { valid, locked, remaining: recoveryCodesRemaining } = recoveryCode
+      ? await consumeRecoveryCode(account.username, recoveryCode)
+      : await consumeTotpCode(account.username, code);
+    const target = `${PHARMACIST_ACCOUNTS_COLLECTION}/${account.username}`;
+    const method = recoveryCode ? "recovery_code" : "code";
+    if (!valid) {
+      const action = locked ? "auth.totp_locked" : "auth.totp_failed";
+      await recordAudit(req, { action, target, changes: {}, metadata: { method } });
+      if (locked) return res.status(429).json({ error: TOTP_LOCKED_MESSAGE });
+      return res.status(401).json({ error: "Invalid code." });
+    }
+    await completePharmacistSession(req.pharmacist);
+    await recordAudit(req, {
+      action: "auth.totp_verified",
+      target,
+      changes: {},
+      metadata: { method, recoveryCodesRemaining: recoveryCodesRemaining ?? null }
+    });
+    return res.json({ ok: true, recoveryCodesRemaining });
+  } catch (err) {
+    if (err?.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error("Failed to verify code:", err?.message || err);
+    return res.status(500).json({ error: "Failed to verify code." });
+  }
+});
+
+// Enrollment works from a half-finished login (role requires 2FA) or from a full session opting in.
+app.post("/pharmacist/auth/totp/enroll", ensureFirebase, requirePendingPharmacist, async (req, res) => {
+  if (req.pharmacist.pendingStep === "totp" || req.pharmacist.totpEnabled) {
+    return res.status(409).json({ error: "Two-factor sign-in is already set up for this account." });
+  }
+  try {
+    const secret = base32Encode(crypto.randomBytes(20));
+    await firestore
+      .collection(PHARMACIST_ACCOUNTS_COLLECTION)
+      .doc(req.pharmacist.username)
+      .set({ totpPendingSecret: secret }, { merge: true });
+    await recordAudit(req, {
+      action: "account.totp_enroll_started",
+      target: `${PHARMACIST_ACCOUNTS_COLLECTION}/${req.pharmacist.username}`,
+      changes: {}
+    });
+    return res.json({ secret, otpauthUri: totpProvisioningUri(req.pharmacist.username, secret) });
+  } catch (err) {
+    console.error("Failed to start two-factor setup:", err?.message || err);
+    return res.status(500).json({ error: "Failed to start two-factor setup." });
+  }
+});
+
+app.post(
+  "/pharmacist/auth/totp/enroll/confirm",
+  pharmacistLoginRateLimit,
+  ensureFirebase,
+  requirePendingPharmacist,
+  async (req, res) => {
+    if (req.pharmacist.pendingStep === "totp" || req.pharmacist.totpEnabled) {
+      return res.status(409).json({ error: "Two-factor sign-in is already set up for this account." });
+    }
+    try {
+      const account = await loadPharmacistAccount(req.pharmacist.username);
+      const { step, locked } = await confirmTotpEnrollmentCode(account.username, req.body?.code);
+      const target = `${PHARMACIST_ACCOUNTS_COLLECTION}/${account.username}`;
+      if (step === null) {
+        const action = locked ? "auth.totp_locked" : "auth.totp_failed";
+        await recordAudit(req, { action, target, changes: {}, metadata: { method: "enroll" } });
+        if (locked) return res.status(429).json({ error: TOTP_LOCKED_MESSAGE });
+        return res.status(400).json({ error: "That code does not match. Check the time on your device and try again." });
+      }
+      const { codes, hashes } = generateRecoveryCodes();
+      const updates = {
+        totpEnabled: true,
+        totpSecret: account.totpPendingSecret,
+        totpPendingSecret: null,
+        totpLastStep: step,
+        totpFailures: 0,
+        totpEnabledAt: admin.firestore.FieldValue.serverTimestamp(),
+        recoveryCodeHashes: hashes,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+      await firestore.collection(PHARMACIST_ACCOUNTS_COLLECTION).doc(account.username).set(updates, { merge: true });
+      await completePharmacistSession(req.pharmacist);
+      await recordAudit(req, { action: "account.totp_enrolled", target, before: account, after: updates });
+      return res.json({ ok: true, recoveryCodes: codes });
+    } catch (err) {
+      if (err?.statusCode) {
+        return res.status(err.statusCode).json({ error: err.message });
+      }
+      console.error("Failed to finish two-factor setup:", err?.message || err);
+      return res.status(500).json({ error: "Failed to finish two-factor setup." });
+    }
+  }
+);
+
+app.post("/pharmacist/auth/logout", ensureFirebase, async (req, res) => {
+  const token = parseCookies(req.headers.cookie)[PHARMACIST_SESSION_COOKIE];
+  try {
+    if (token) {
+      const pharmacist = await pharmacistFromSession(req, { allowPending: true });
+      const sessionId = sessionTokenHash(token);
+      pharmacistSessionCache.delete(sessionId);
+      await firestore.collection(PHARMACIST_LOGINS_COLLECTION).doc(sessionId).delete();
+      if (pharmacist) {
+        await recordAudit(req, {
+          action: "auth.logout",
+          actor: pharmacist,
+          target: `${PHARMACIST_ACCOUNTS_COLLECTION}/${pharmacist.username}`,
+          changes: {}
+        });
+      }
+    }
+    res.clearCookie(PHARMACIST_SESSION_COOKIE, pharmacistCookieOptions(req));
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("Failed to sign out:", err?.message || err);
+    return res.status(500).json({ error: "Failed to sign out." });
+  }
+});
+
+app.use("/pharmacist", ensureFirebase, pharmacistBasicAuthRateLimit, requirePharmacistAuth, express.static(publicDir));
+app.get("/pharmacist", ensureFirebase, requirePharmacistAuth, (req, res) => {
+  res.sendFile(path.join(publicDir, "pharmacist.html"));
+});
+
+app.use("/pharmacist/api", ensureFirebase, requirePharmacistAuth);
+app.use("/pharmacist/api/admin", requirePharmacistRole("admin"));
+app.use("/pharmacist/api/ai/analytics", requirePharmacistRole("supervisor"));
+
+app.get("/pharmacist/api/me", (req, res) => {
+  const { sessionId, pendingStep, ...pharmacist } = req.pharmacist;
+  res.json({ ...pharmacist, totpRequired: totpRequiredFor(pharmacist), authMethod: sessionId ? "session" : "basic" });
+});
+
+app.post("/pharmacist/api/me/totp/recovery-codes", async (req, res) => {
+  try {
+    const account = await loadPharmacistAccount(req.pharmacist.username);
+    if (!account?.totpEnabled) {
+      return res.status(409).json({ error: "Two-factor sign-in is not set up for this account." });
+    }
+    const { valid, locked } = await consumeTotpCode(account.username, req.body?.code);
+    if (locked) return res.status(429).json({ error: TOTP_LOCKED_MESSAGE });
+    if (!valid) {
+      return res.status(403).json({ error: "Invalid code." });
+    }
+    const { codes, hashes } = generateRecoveryCodes();
+    await firestore
+      .collection(PHARMACIST_ACCOUNTS_COLLECTION)
+      .doc(account.username)
+      .set({ recoveryCodeHashes: hashes, updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+    await recordAudit(req, {
+      action: "account.recovery_codes_regenerated",
+      target: `${PHARMACIST_ACCOUNTS_COLLECTION}/${account.username}`,
+      before: account,
+      after: { recoveryCodeHashes: hashes }
+    });
+    return res.json({ recoveryCodes: codes });
+  } catch (err) {
+    console.error("Failed to create recovery codes:", err?.message || err);
+    return res.status(500).json({ error: "Failed to create recovery codes." });
+  }
+});
+
+app.post("/pharmacist/api/me/password", async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  const passwordError = validatePharmacistPassword(newPassword);
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError });
+  }
+  try {
+    const account = await authenticatePharmacist(req.pharmacist.username, String(currentPassword || ""));
+    if (!account) {
+      return res.status(403).json({ error: "Current password is incorrect." });
+    }
+    const updates = {
+      passwordHash: await hashPassword(newPassword),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    await firestore.collection(PHARMACIST_ACCOUNTS_COLLECTION).doc(account.username).set(updates, { merge: true });
+    await revokePharmacistSessions(account.username, { exceptSessionId: req.pharmacist.sessionId });
+    await recordAudit(req, {
+      action: "account.password_changed",
+      target: `${PHARMACIST_ACCOUNTS_COLLECTION}/${account.username}`,
+      before: account,
+      after: updates
+    });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("Failed to change password:", err?.message || err);
+    return res.status(500).json({ error: "Failed to change password." });
+  }
+});
+
+const PHARMACIST_SESSIONS_COLLECTION = "pharmacist_sessions";
+const SESSION_ASSIGNMENT_FILTERS = new Set(["all", "mine", "unassigned"]);
+// An assignment is released once its pharmacist has sent no console heartbeat for this long.
+const PHARMACIST_ASSIGNMENT_STALE_MS = Number(process.env.PHARMACIST_ASSIGNMENT_STALE_MS) || 5 * 60 * 1000;
+const ASSIGNMENT_SWEEP_INTERVAL_MS = 30 * 1000;
+const SYSTEM_AUDIT_ACTOR = { username: "system", role: null, authMethod: "system" };
+
+function assignmentConflict(message, assignedTo) {
+  const error = new Error(message);
+  error.statusCode = 409;
+  error.assignedTo = assignedTo;
+  return error;
+}
+
+function assignmentFields(pharmacist) {
+  return {
+    assignedTo: pharmacist ? pharmacist.username : null,
+    assignedToName: pharmacist ? pharmacist.displayName || pharmacist.username : null,
+    assignedAt: pharmacist ? admin.firestore.FieldValue.serverTimestamp() : null
+  };
+}
+
+async function touchPharmacistPresence(pharmacist) {
+  await firestore.collection(PRESENCE_COLLECTION).doc(`user_${pharmacist.username}`).set(
+    {
+      id: `user_${pharmacist.username}`,
+      username: pharmacist.username,
+      isOnline: true,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    },
+    { merge: true }
+  );
+}
+
+// Pass the transaction when the answer decides a write, so a heartbeat landing mid-check retries it.
+async function isPharmacistPresenceStale(username, tx = null) {
+  const ref = firestore.collection(PRESENCE_COLLECTION).doc(`user_${username}`);
+  const snapshot = tx ? await tx.get(ref) : await ref.get();
+  return Date.now() - timestampToMillis(snapshot.data()?.updatedAt) > PHARMACIST_ASSIGNMENT_STALE_MS;
+}
+
+// Runs one read-check-write on a session inside a transaction so two consoles cannot both win.
+// mutate(session, tx) returns the fields to write, or null to leave the session untouched. Any other
+// document it reads must go through tx.
+async function updateSessionAssignment(sessionId, mutate) {
+  const ref = firestore.collection(PHARMACIST_SESSIONS_COLLECTION).doc(sessionId);
+  return firestore.runTransaction(async (tx) => {
+    const snapshot = await tx.get(ref);
+    if (!snapshot.exists) {
+      const error = new Error("Session not found.");
+      error.statusCode = 404;
+      throw error;
+    }
+    const before = snapshot.data() || {};
+    const update = await mutate(before, tx);
+    if (update) {
+      tx.update(ref, { ...update, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    }
+    return { before, update };
+  });
+}
+
+// Pharmacists can only take a session that is free, already theirs, or held by someone whose console went quiet.
+async function claimableBy(session, pharmacist, tx) {
+  if (!session.assignedTo || session.assignedTo === pharmacist.username) return true;
+  return isPharmacistPresenceStale(session.assignedTo, tx);
+}
+
+function canManageAssignment(session, pharmacist) {
+  return (
+    session.assignedTo === pharmacist.username ||
+    pharmacistRoleRank(pharmacist.role) >= PHARMACIST_ROLE_RANK.supervisor
+  );
+}
+
+// Frees sessions whose assignee stopped sending heartbeats. Runs on a timer started with the server.
+async function releaseStaleAssignments() {
+  const snapshot = await firestore.collection(PHARMACIST_SESSIONS_COLLECTION).where("assignedTo", ">", "").get();
+  const staleByUser = new Map();
+  for (const doc of snapshot.docs) {
+    const assignedTo = doc.data()?.assignedTo;
+    if (!staleByUser.has(assignedTo)) {
+      staleByUser.set(assignedTo, await isPharmacistPresenceStale(assignedTo));
+    }
+    if (!staleByUser.get(assignedTo)) continue;
+    const { before, update } = await updateSessionAssignment(doc.id, async (session, tx) =>
+      session.assignedTo === assignedTo && (await isPharmacistPresenceStale(assignedTo, tx))
+        ? { ...assignmentFields(null), releaseReason: "presence_stale" }
+        : null
+    );
+    if (update) {
+      await recordAudit(null, {
+        action: "session.auto_released",
+        actor: SYSTEM_AUDIT_ACTOR,
+        target: `${PHARMACIST_SESSIONS_COLLECTION}/${doc.id}`,
+        before,
+        after: update
+      });
+    }
+  }
+}
+
+const SESSION_PAGE_DEFAULT = 50;
+const SESSION_PAGE_MAX = 100;
+const SESSION_INDEX_PAGE_SIZE = 200;
+const SESSION_INDEX_REFRESH_MS = 15 * 1000;
+// Deleted sessions only drop out of the index on a full rebuild.
+const SESSION_INDEX_REBUILD_MS = 60 * 60 * 1000;
+const SESSION_INDEX_TEXT_MAX_CHARS = 20000;
+// Only the most recently updated sessions are kept, which bounds the index's memory.
+const SESSION_INDEX_MAX_SESSIONS = Number(process.env.SESSION_INDEX_MAX_SESSIONS) || 5000;
+// While the index warms up, one search request scans at most this many sessions in Firestore.
+const SESSION_WARMUP_SCAN_MAX = 1000;
+// Firestore cannot search inside names or message text, so searches run against this in-process index.
+// A background timer started with the server builds it, rebuilds it hourly and in between tops it up with
+// sessions whose updatedAt moved or that received a message. Message text is read once per session; after that
+// new messages are appended as they are found.
+const sessionSearchIndex = {
+  entries: new Map(),
+  builtAt: 0,
+  refreshedAt: 0,
+  // The last session and message seen, as Firestore document cursors for the next top-up.
+  sessionCursor: null,
+  messageCursor: null,
+  messagesSinceMs: 0,
+  capped: false,
+  generation: 0
+};
+
+// Bumping the generation makes a refresh that is already running discard its result.
+function resetSessionSearchIndex() {
+  sessionSearchIndex.entries = new Map();
+  sessionSearchIndex.builtAt = 0;
+  sessionSearchIndex.refreshedAt = 0;
+  sessionSearchIndex.sessionCursor = null;
+  sessionSearchIndex.messageCursor = null;
+  sessionSearchIndex.messagesSinceMs = 0;
+  sessionSearchIndex.capped = false;
+  sessionSearchIndex.generation += 1;
+}
+
+function joinSearchText(values) {
+  return values
+    .filter((value) => typeof value === "string" && value)
+    .join("\n")
+    .toLowerCase()
+    .slice(0, SESSION_INDEX_TEXT_MAX_CHARS);
+}
+
+function sessionIndexEntry(doc, messageText) {
+  const session = doc.data() || {};
+  const fieldsText = joinSearchText([
+    session.userDisplayName,
+    session.userEmail,
+    session.userId,
+    doc.id,
+    session.statusText,
+    session.handoff?.userMessage,
+    session.handoff?.summarizedLogs
+  ]);
+  return {
+    id: doc.id,
+    fieldsText,
+    messageText,
+    text: joinSearchText([fieldsText, messageText]),
+    statusText: String(session.statusText || "").toLowerCase(),
+    assignedTo: session.assignedTo || null,
+    priority: Boolean(session.priority),
+    updatedAtMs: timestampToMillis(session.updatedAt || session.createdAt)
+  };
+}
+
+async function loadSessionMessageText(sessionRef) {
+  const snapshot = await sessionRef.collection("messages").get();
+  return joinSearchText(snapshot.docs.map((message) => message.data()?.content));
+}
+
+// Messages written straight to Firestore do not always move the session's updatedAt,
+// so new ones are found through the messages collection group, strictly after the last one seen.
+async function newSessionMessages(sinceMs, cursor) {
+  const contents = new Map();
+  const baseQuery = firestore
+    .collectionGroup("messages")
+    .where("createdAt", ">=", admin.firestore.Timestamp.fromMillis(sinceMs))
+    .orderBy("createdAt", "asc");
+  for (;;) {
+    const page = await (cursor ? baseQuery.startAfter(cursor) : baseQuery).limit(SESSION_INDEX_PAGE_SIZE).get();
+    for (const doc of page.docs) {
+      const session = doc.ref.parent.parent;
+      if (session?.parent.id !== PHARMACIST_SESSIONS_COLLECTION) continue;
+      contents.set(session.id, [...(contents.get(session.id) || []), doc.data()?.content]);
+    }
+    if (page.docs.length) cursor = page.docs[page.docs.length - 1];
+    if (page.size < SESSION_INDEX_PAGE_SIZE) break;
+  }
+  return { contents, cursor };
+}
+
+// One pass over Firestore. A rebuild lists the newest sessions until the cap; a top-up reads only sessions and
+// messages after the stored cursors. Message text is only read for sessions new to the index.
+// Either way the new map replaces the live one at the end, unless the index was reset in the meantime.
+async function refreshSessionSearchIndex() {
+  const { generation, entries: previous } = sessionSearchIndex;
+  const startedAt = Date.now();
+  const rebuild = startedAt - sessionSearchIndex.builtAt > SESSION_INDEX_REBUILD_MS;
+  const entries = rebuild ? new Map() : new Map(previous);
+  const readMessages = new Set();
+  const indexDocs = (docs) =>
+    Promise.all(
+      docs.map(async (doc) => {
+        let messageText = previous.get(doc.id)?.messageText;
+        if (messageText === undefined) {
+          messageText = await loadSessionMessageText(doc.ref);
+          readMessages.add(doc.id);
+        }
+        entries.set(doc.id, sessionIndexEntry(doc, messageText));
+      })
+    );
+  const sessions = firestore.collection(PHARMACIST_SESSIONS_COLLECTION);
+  let { sessionCursor, messageCursor } = sessionSearchIndex;
+  const messagesSinceMs = sessionSearchIndex.messagesSinceMs || startedAt;
+  if (rebuild) {
+    // The first session of a newest-first listing is the latest one, so it becomes the top-up cursor.
+    const baseQuery = sessions.orderBy("updatedAt", "desc");
+    let cursor = null;
+    sessionCursor = null;
+    for (;;) {
+      const page = await (cursor ? baseQuery.startAfter(cursor) : baseQuery).limit(SESSION_INDEX_PAGE_SIZE).get();
+      sessionCursor = sessionCursor || page.docs[0] || null;
+      await indexDocs(page.docs);
+      if (page.size < SESSION_INDEX_PAGE_SIZE || entries.size >= SESSION_INDEX_MAX_SESSIONS) break;
+      cursor = page.docs[page.docs.length - 1];
+    }
+  } else {
+    // A document cursor orders by updatedAt and then by id, so the last session seen is not read again.
+    const baseQuery = sessions.orderBy("updatedAt", "asc");
+    for (;;) {
+      const query = sessionCursor ? baseQuery.startAfter(sessionCursor) : baseQuery;
+      const page = await query.limit(SESSION_INDEX_PAGE_SIZE).get();
+      await indexDocs(page.docs);
+      if (page.docs.length) sessionCursor = page.docs[page.docs.length - 1];
+      if (page.size < SESSION_INDEX_PAGE_SIZE) break;
+    }
+  }
+  if (sessionSearchIndex.builtAt) {
+    // Without the collection-group index this query fails; sessions whose updatedAt moved are still picked up.
+    const messages = await newSessionMessages(messagesSinceMs, messageCursor).catch((err) => {
+      console.warn("Failed to look up new session messages for search:", err?.message || err);
+      return { contents: new Map(), cursor: messageCursor };
+    });
+    const unknown = [...messages.contents.keys()].filter((id) => !entries.has(id));
+    const snapshots = await Promise.all(unknown.map((id) => sessions.doc(id).get()));
+    await indexDocs(snapshots.filter((snapshot) => snapshot.exists));
+    for (const [id, contents] of messages.contents) {
+      const entry = entries.get(id);
+      if (!entry || readMessages.has(id)) continue;
+      const messageText = joinSearchText([entry.messageText, ...contents]);
+      entries.set(id, { ...entry, messageText, text: joinSearchText([entry.fieldsText, messageText]) });
+    }
+    messageCursor = messages.cursor;
+  }
+  if (entries.size > SESSION_INDEX_MAX_SESSIONS) {
+    [...entries.values()]
+      .sort(compareSessionOrder)
+      .slice(SESSION_INDEX_MAX_SESSIONS)
+      .forEach((entry) => entries.delete(entry.id));
+  }
+  if (generation !== sessionSearchIndex.generation) return;
+  Object.assign(sessionSearchIndex, {
+    entries,
+    sessionCursor,
+    messageCursor,
+    messagesSinceMs,
+    capped: entries.size >= SESSION_INDEX_MAX_SESSIONS,
+    refreshedAt: startedAt,
+    builtAt: rebuild ? startedAt : sessionSearchIndex.builtAt
+  });
+}
+
+function sessionListError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function parseSessionListQuery(query = {}) {
+  const assigned = String(query.assigned || "all");
+  if (!SESSION_ASSIGNMENT_FILTERS.has(assigned)) {
+    throw sessionListError("assigned must be one of all, mine, unassigned.");
+  }
+  const dayStart = (value, name) => {
+    if (!value) return null;
+    const millis = /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? Date.parse(`${value}T00:00:00Z`) : Number.NaN;
+    if (Number.isNaN(millis)) throw sessionListError(`${name} must be a date in YYYY-MM-DD format.`);
+    return millis;
+  };
+  const fromMs = dayStart(query.from, "from");
+  const toDay = dayStart(query.to, "to");
+  const toMs = toDay === null ? null : toDay + DAY_MS;
+  if (fromMs !== null && toMs !== null && fromMs >= toMs) {
+    throw sessionListError("from must not be after to.");
+  }
+  const q = String(query.q || "").trim().toLowerCase().slice(0, 200);
+  const status = String(query.status || "").trim().toLowerCase().slice(0, 100);
+  return {
+    assigned,
+    terms: q ? q.split(/\s+/) : [],
+    status,
+    fromMs,
+    toMs,
+    cursor: query.cursor ? String(query.cursor) : null,
+    limit: Math.min(SESSION_PAGE_MAX, Math.max(1, Number.parseInt(query.limit, 10) || SESSION_PAGE_DEFAULT))
+  };
+}
+
+// Results are ordered newest first by updatedAt, then by id, which is also how Firestore breaks ties.
+function compareSessionOrder(left, right) {
+  return right.updatedAtMs - left.updatedAtMs || (left.id < right.id ? 1 : left.id > right.id ? -1 : 0);
+}
+
+function pageAfterCursor(sorted, cursorEntry, limit) {
+  const start = cursorEntry ? sorted.findIndex((entry) => compareSessionOrder(cursorEntry, entry) < 0) : 0;
+  const page = start === -1 ? [] : sorted.slice(start, start + limit + 1);
+  return { page: page.slice(0, limit), hasMore: page.length > limit };
+}
+
+async function loadSessionsByIds(ids) {
+  const collection = firestore.collection(PHARMACIST_SESSIONS_COLLECTION);
+  const snapshots = await Promise.all(ids.map((id) => collection.doc(id).get()));
+  return snapshots.filter((snapshot) => snapshot.exists).map(serializeDoc);
+}
+
+// Firestore keeps microseconds, so cursors into Firestore queries need more than milliseconds.
+function timestampToMicros(value) {
+  if (typeof value?.seconds === "number" && typeof value?.nanoseconds === "number") {
+    return value.seconds * 1e6 + Math.floor(value.nanoseconds / 1e3);
+  }
+  return timestampToMillis(value) * 1000;
+}
+
+// The cursor is "<updatedAt in microseconds>_<id>" of the last session on the previous page, so the next page
+// starts right after that position even if the session has been updated or deleted since.
+function encodeSessionCursor(updatedAtMicros, id) {
+  return `${updatedAtMicros}_${id}`;
+}
+
+function decodeSessionCursor(cursor) {
+  if (!cursor) return null;
+  const match = /^(\d{1,16})_(.+)$/.exec(cursor);
+  if (!match) {
+    throw sessionListError("cursor is not valid. Reload the first page.");
+  }
+  const micros = Number(match[1]);
+  return {
+    id: match[2],
+    updatedAtMs: Math.floor(micros / 1000),
+    updatedAt: new admin.firestore.Timestamp(Math.floor(micros / 1e6), (micros % 1e6) * 1000)
+  };
+}
+
+function sessionDocCursor(doc) {
+  return encodeSessionCursor(timestampToMicros(doc.data()?.updatedAt), doc.id);
+}
+
+function sessionEntryCursor(entry) {
+  return encodeSessionCursor(entry.updatedAtMs * 1000, entry.id);
+}
+
+// Newest first with the id as tiebreak, which a cursor of (updatedAt, id) can resume exactly.
+function sessionListQuery(filters, cursor) {
+  let query = firestore
+    .collection(PHARMACIST_SESSIONS_COLLECTION)
+    .orderBy("updatedAt", "desc")
+    .orderBy(admin.firestore.FieldPath.documentId(), "desc");
+  if (filters.fromMs !== null) {
+    query = query.where("updatedAt", ">=", admin.firestore.Timestamp.fromMillis(filters.fromMs));
+  }
+  if (filters.toMs !== null) {
+    query = query.where("updatedAt", "<", admin.firestore.Timestamp.fromMillis(filters.toMs));
+  }
+  return cursor ? query.startAfter(cursor.updatedAt, cursor.id) : query;
+}
+
+// Until the first index build finishes, searches scan Firestore newest first instead. Words are matched
+// against the start of words in the session's own fields; message text is not searched yet. A request scans at
+// most SESSION_WARMUP_SCAN_MAX sessions and hands back a cursor to carry on from there.
+async function searchSessionsWhileWarming(filters, cursor, matches) {
+  const baseQuery = sessionListQuery(filters, cursor);
+  const found = [];
+  let scanned = 0;
+  let last = null;
+  for (;;) {
+    const page = await (last ? baseQuery.startAfter(last) : baseQuery).limit(SESSION_INDEX_PAGE_SIZE).get();
+    for (const doc of page.docs) {
+      scanned += 1;
+      last = doc;
+      const entry = sessionIndexEntry(doc, "");
+      const words = entry.text.split(/\s+/);
+      if (!matches(entry, (term) => words.some((word) => word.startsWith(term)))) continue;
+      found.push(doc);
+      if (found.length > filters.limit) {
+        return { page: found.slice(0, filters.limit), nextCursor: sessionDocCursor(found[filters.limit - 1]) };
+      }
+    }
+    if (page.size < SESSION_INDEX_PAGE_SIZE) return { page: found, nextCursor: null };
+    if (scanned >= SESSION_WARMUP_SCAN_MAX) return { page: found, nextCursor: sessionDocCursor(last) };
+  }
+}
+
+// Three paths, picked so that none needs a composite index:
+// - all sessions without text/status filters: a Firestore cursor query on updatedAt
+// - "mine" without text/status filters: an equality query on assignedTo, ordered here
+// - everything else: the local search index, or a bounded Firestore scan while it warms up
+async function listPharmacistSessions(filters, pharmacist) {
+  const sessionsCollection = firestore.collection(PHARMACIST_SESSIONS_COLLECTION);
+  const cursorEntry = decodeSessionCursor(filters.cursor);
+  const searching = filters.terms.length > 0 || Boolean(filters.status);
+  const inRange = (updatedAtMs) =>
+    (filters.fromMs === null || updatedAtMs >= filters.fromMs) && (filters.toMs === null || updatedAtMs < filters.toMs);
+  const matchesAssignment = (assignedTo) =>
+    filters.assigned === "all" || (filters.assigned === "mine" ? assignedTo === pharmacist.username : !assignedTo);
+  const matches = (entry, matchesTerm) =>
+    matchesAssignment(entry.assignedTo) &&
+    inRange(entry.updatedAtMs) &&
+    (!filters.status || entry.statusText.includes(filters.status)) &&
+    filters.terms.every(matchesTerm);
+
+  if (searching || filters.assigned === "unassigned") {
+    if (!sessionSearchIndex.builtAt) {
+      const { page, nextCursor } = await searchSessionsWhileWarming(filters, cursorEntry, matches);
+      return {
+        sessions: page.map(serializeDoc),
+        nextCursor,
+        index: { sessions: 0, capped: false, refreshedAt: null, warming: true }
+      };
+    }
+    const sorted = [...sessionSearchIndex.entries.values()]
+      .filter((entry) => matches(entry, (term) => entry.text.includes(term)))
+      .sort(compareSessionOrder);
+    const { page, hasMore } = pageAfterCursor(sorted, cursorEntry, filters.limit);
+    return {
+      sessions: await loadSessionsByIds(page.map((entry) => entry.id)),
+      nextCursor: hasMore ? sessionEntryCursor(page[page.length - 1]) : null,
+      index: {
+        sessions: sessionSearchIndex.entries.size,
+        capped: sessionSearchIndex.capped,
+        refreshedAt: new Date(sessionSearchIndex.refreshedAt).toISOString(),
+        warming: false
+      }
+    };
+  }
+
+  // Priority escalations are pinned to the first page, so later pages skip them.
+  let priority = [];
+  if (!cursorEntry) {
+    const prioritySnapshot = await sessionsCollection.where("priority", "==", true).get();
+    priority = prioritySnapshot.docs
+      .map((doc) => ({ ...serializeDoc(doc), updatedAtMs: timestampToMillis(doc.data()?.updatedAt) }))
+      .filter((session) => matchesAssignment(session.assignedTo) && inRange(session.updatedAtMs))
+      .sort(compareSessionOrder)
+      .map(({ updatedAtMs, ...session }) => session);
+  }
+
+  let page;
+  let nextCursor = null;
+  if (filters.assigned === "mine") {
+    const snapshot = await sessionsCollection.where("assignedTo", "==", pharmacist.username).get();
+    const sorted = snapshot.docs
+      .map((doc) => ({ id: doc.id, doc, updatedAtMs: timestampToMillis(doc.data()?.updatedAt) }))
+      .filter((entry) => inRange(entry.updatedAtMs))
+      .sort(compareSessionOrder);
+    const { page: entries, hasMore } = pageAfterCursor(sorted, cursorEntry, filters.limit);
+    if (hasMore) nextCursor = sessionEntryCursor(entries[entries.length - 1]);
+    page = entries.map((entry) => entry.doc);
+  } else {
+    const snapshot = await sessionListQuery(filters, cursorEntry).limit(filters.limit + 1).get();
+    page = snapshot.docs.slice(0, filters.limit);
+    if (snapshot.size > filters.limit) nextCursor = sessionDocCursor(page[page.length - 1]);
+  }
+  const priorityIds = new Set(priority.map((session) => session.id));
+  const listed = page.map(serializeDoc).filter((session) => !session.priority && !priorityIds.has(session.id));
+  return { sessions: [...priority, ...listed], nextCursor };
+}
+
+app.get("/pharmacist/api/sessions", async (req, res) => {
+  try {
+    const filters = parseSessionListQuery(req.query);
+    res.json(await listPharmacistSessions(filters, req.pharmacist));
+  } catch (err) {
+    if (isFirestoreQuotaExceeded(err)) {
+      return res.status(429).json({
+        error:
+          "Firestore quota exceeded. Open Firebase Billing to upgrade, or wait for quota reset (daily reset around midnight Pacific)."
+      });
+    }
+    res.status(err?.statusCode || 500).json({ error: err?.message || "Failed to load sessions." });
+  }
+});
+
+app.get("/pharmacist/api/pharmacists", async (_req, res) => {
+  try {
+    const snapshot = await firestore.collection(PHARMACIST_ACCOUNTS_COLLECTION).orderBy("username").get();
+    const pharmacists = await Promise.all(
+      snapshot.docs
+        .map((doc) => doc.data())
+        .filter((account) => !account.disabled)
+        .map(async (account) => ({
+          username: account.username,
+          displayName: account.displayName || account.username,
+          role: account.role,
+          online: !(await isPharmacistPresenceStale(account.username))
+        }))
+    );
+    res.json({ pharmacists });
+  } catch (err) {
+    res.status(500).json({ error: err?.message || "Failed to load pharmacists." });
+  }
+});
+
+app.post("/pharmacist/api/sessions/:id/claim", async (req, res) => {
+  const target = `${PHARMACIST_SESSIONS_COLLECTION}/${req.params.id}`;
+  try {
+    await touchPharmacistPresence(req.pharmacist);
+    const { before, update } = await updateSessionAssignment(req.params.id, async (session, tx) => {
+      if (session.assignedTo === req.pharmacist.username) return null;
+      if (!(await claimableBy(session, req.pharmacist, tx))) {
+        const holder = session.assignedToName || session.assignedTo;
+        throw assignmentConflict(`Already claimed by ${holder}.`, session.assignedTo);
+      }
+      return assignmentFields(req.pharmacist);
+    });
+    if (update) {
+      await recordAudit(req, { action: "session.claimed", target, before, after: update });
+    }
+    res.json({ ok: true, assignedTo: req.pharmacist.username });
+  } catch (err) {
+    res
+      .status(err?.statusCode || 500)
+      .json({ error: err?.message || "Failed to claim session.", assignedTo: err?.assignedTo });
+  }
+});
+
+app.post("/pharmacist/api/sessions/:id/release", async (req, res) => {
+  const target = `${PHARMACIST_SESSIONS_COLLECTION}/${req.params.id}`;
+  try {
+    const { before, update } = await updateSessionAssignment(req.params.id, (session) => {
+      if (!session.assignedTo) return null;
+      if (!canManageAssignment(session, req.pharmacist)) {
+        throw assignmentConflict(
+          `Only ${session.assignedToName || session.assignedTo} or a supervisor can release this session.`,
+          session.assignedTo
+        );
+      }
+      return { ...assignmentFields(null), releaseReason: "released" };
+    });
+    if (update) {
+      await recordAudit(req, { action: "session.released", target, before, after: update });
+    }
+    res.json({ ok: true, assignedTo: null });
+  } catch (err) {
+    res
+      .status(err?.statusCode || 500)
+      .json({ error: err?.message || "Failed to release session.", assignedTo: err?.assignedTo });
+  }
+});
+
+app.post("/pharmacist/api/sessions/:id/transfer", async (req, res) => {
+  const target = `${PHARMACIST_SESSIONS_COLLECTION}/${req.params.id}`;
+  const toUsername = normalizeUsername(req.body?.to);
+  try {
+    const recipient = PHARMACIST_USERNAME_PATTERN.test(toUsername) ? await loadPharmacistAccount(toUsername) : null;
+    if (!recipient || recipient.disabled) {
+      return res.status(400).json({ error: "to must be an active console account." });
+    }
+    const { before, update } = await updateSessionAssignment(req.params.id, (session) => {
+      if (session.assignedTo && !canManageAssignment(session, req.pharmacist)) {
+        throw assignmentConflict(
+          `Only ${session.assignedToName || session.assignedTo} or a supervisor can transfer this session.`,
+          session.assignedTo
+        );
+      }
+      return { ...assignmentFields(recipient), transferredBy: req.pharmacist.username };
+    });
+    if (update) {
+      await recordAudit(req, { action: "session.transferred", target, before, after: update });
+    }
+    res.json({ ok: true, assignedTo: recipient.username });
+  } catch (err) {
+    res
+      .status(err?.statusCode || 500)
+      .json({ error: err?.message || "Failed to transfer session.", assignedTo: err?.assignedTo });
+  }
+});
+
+app.get("/pharmacist/api/sessions/:id/messages", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const snapshot = await firestore
+      .collection("pharmacist_sessions")
+      .doc(id)
+      .collection("messages")
+      .orderBy("createdAt", "asc")
+      .get();
+    const messages = snapshot.docs.map(serializeDoc);
+    res.json({ messages });
+  } catch (err) {
+    res.status(500).json({ error: err?.message || "Failed to load messages." });
+  }
+});
+
+app.post("/pharmacist/api/sessions/:id/messages", async (req, res) => {
   try {
     const { id } = req.params;
     const content = (req.body?.content || "").trim();
@@ -536,35 +2216,119 @@ app.post("/pharmacist/api/sessions/:id/messages", async (req, res) => {
       id: messageId,
       role: "pharmacist",
       content,
+      sentBy: req.pharmacist.username,
       createdAt: admin.firestore.FieldValue.serverTimestamp()
     };
 
-    const sessionRef = firestore.collection("pharmacist_sessions").doc(id);
+    const sessionRef = firestore.collection(PHARMACIST_SESSIONS_COLLECTION).doc(id);
+    // Replying claims an unassigned session, and is refused while another pharmacist holds it.
+    const { before, update } = await updateSessionAssignment(id, async (session, tx) => {
+      if (!(await claimableBy(session, req.pharmacist, tx))) {
+        const holder = session.assignedToName || session.assignedTo;
+        throw assignmentConflict(`${holder} is handling this chat. Ask them to transfer it first.`, session.assignedTo);
+      }
+      return {
+        statusText: "Pharmacist replied",
+        priority: false,
+        ...(session.assignedTo === req.pharmacist.username ? {} : assignmentFields(req.pharmacist))
+      };
+    });
     await sessionRef.collection("messages").doc(messageId).set(message);
-    await sessionRef.update({
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      statusText: "Pharmacist replied"
+    // The message text is PHI and already lives on the message document, so the audit entry points at it.
+    await recordAudit(req, {
+      action: "session.message_sent",
+      target: `pharmacist_sessions/${id}`,
+      before,
+      after: update,
+      metadata: { messageId, length: content.length }
     });
 
     res.json({ ok: true });
   } catch (err) {
-    res.status(500).json({ error: err?.message || "Failed to send message." });
+    res.status(err?.statusCode || 500).json({ error: err?.message || "Failed to send message.", assignedTo: err?.assignedTo });
   }
 });
 
+const SESSION_STATUS_TEXT_MAX_LENGTH = 200;
+
+function validateSessionStatusBody(body) {
+  const errors = [];
+  if (body.statusText !== undefined) {
+    validateSchema(
+      body.statusText,
+      { type: ["string", "null"], maxLength: SESSION_STATUS_TEXT_MAX_LENGTH },
+      "statusText",
+      errors
+    );
+  }
+  if (body.queuePosition !== undefined) {
+    validateSchema(body.queuePosition, { type: ["integer", "null"], minimum: 0 }, "queuePosition", errors);
+  }
+  return errors;
+}
+
 app.post("/pharmacist/api/sessions/:id/status", async (req, res) => {
+  const fieldErrors = validateSessionStatusBody(req.body || {});
+  if (fieldErrors.length) {
+    return sendValidationErrors(res, fieldErrors, "Invalid status update.");
+  }
   try {
     const { id } = req.params;
-    const statusText = req.body?.statusText || null;
+    const statusText = req.body?.statusText?.trim() || null;
     const queuePosition = req.body?.queuePosition ?? null;
-    await firestore.collection("pharmacist_sessions").doc(id).update({
-      statusText,
-      queuePosition,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    // Unassigned sessions stay open to everyone; a held one only to its holder and supervisors.
+    const { before, update } = await updateSessionAssignment(id, (session) => {
+      if (session.assignedTo && !canManageAssignment(session, req.pharmacist)) {
+        throw assignmentConflict(
+          `Only ${session.assignedToName || session.assignedTo} or a supervisor can update this session's status.`,
+          session.assignedTo
+        );
+      }
+      return { statusText, queuePosition };
+    });
+    await recordAudit(req, {
+      action: "session.status_updated",
+      target: `pharmacist_sessions/${id}`,
+      before,
+      after: update
     });
     res.json({ ok: true });
   } catch (err) {
-    res.status(500).json({ error: err?.message || "Failed to update status." });
+    res
+      .status(err?.statusCode || 500)
+      .json({ error: err?.message || "Failed to update status.", assignedTo: err?.assignedTo });
+  }
+});
+
+app.get("/pharmacist/api/sessions/:id/medication-safety", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const sessionSnapshot = await firestore.collection("pharmacist_sessions").doc(id).get();
+    if (!sessionSnapshot.exists) {
+      return res.status(404).json({ error: "Session not found." });
+    }
+    const session = sessionSnapshot.data() || {};
+    const fromHandoff = checkMedicationSafety({
+      medicationTexts: flattenText([session.handoff?.userMessage, session.handoff?.summarizedLogs])
+    });
+    let stored = null;
+    if (session.userId) {
+      const storedSnapshot = await firestore.collection(MEDICATION_SAFETY_COLLECTION).doc(session.userId).get();
+      if (storedSnapshot.exists) {
+        const live = liveMedicationSafety(storedSnapshot.data());
+        stored = live.medications.length
+          ? { ...live, updatedAt: serializeValue(storedSnapshot.data().updatedAt) }
+          : null;
+      }
+    }
+    res.json({
+      flags: mergeRedFlags(stored?.flags || [], fromHandoff.flags),
+      medications: Array.from(new Set([...(stored?.medications || []), ...fromHandoff.medications])),
+      datasetVersion: fromHandoff.datasetVersion,
+      checkedAt: stored?.updatedAt || null
+    });
+  } catch (err) {
+    res.status(500).json({ error: err?.message || "Failed to load medication safety." });
   }
 });
 
@@ -621,13 +2385,120 @@ app.get("/pharmacist/api/diagnostics", async (_req, res) => {
       ok: true,
       projectId,
       sessionsCount,
-      callsCount
+      callsCount,
+      aiProviders: getProviderStatus()
     });
   } catch (err) {
     res.status(500).json({ error: err?.message || "Failed to load diagnostics." });
   }
 });
 
+app.get("/pharmacist/api/ai/analytics", async (req, res) => {
+  try {
+    res.json(await loadAIUsageAnalytics(parseAnalyticsRange(req.query)));
+  } catch (err) {
+    res.status(err?.statusCode || 500).json({ error: err?.message || "Failed to load AI analytics." });
+  }
+});
+
+app.get("/pharmacist/api/ai/analytics/symptoms", async (req, res) => {
+  try {
+    const limit = Math.min(50, Math.max(1, Number.parseInt(req.query.limit, 10) || 10));
+    res.json(await loadAISymptomAnalytics(parseAnalyticsRange(req.query), limit));
+  } catch (err) {
+    res.status(err?.statusCode || 500).json({ error: err?.message || "Failed to load symptom analytics." });
+  }
+});
+
+app.get("/pharmacist/api/ai/reviews", async (req, res) => {
+  try {
+    const status = String(req.query.status || "pending");
+    if (status !== "all" && !AI_REVIEW_STATUSES.has(status)) {
+      return res.status(400).json({ error: "Unknown review status." });
+    }
+    const statuses = status === "all" ? [...AI_REVIEW_STATUSES] : [status];
+    const collection = firestore.collection(AI_RESPONSES_COLLECTION);
+    // The cursor is the id of the last item on the previous page.
+    let cursorSnapshot = null;
+    if (req.query.cursor) {
+      cursorSnapshot = await collection.doc(String(req.query.cursor)).get();
+      if (!cursorSnapshot.exists) {
+        return res.status(400).json({ error: "cursor no longer exists. Reload the first page." });
+      }
+    }
+    // Pending crisis events are pinned to the top of the first page, so later pages skip them.
+    const isPinned = (doc) =>
+      doc.data()?.reviewStatus === "pending" && (doc.data()?.reviewReasons || []).includes("crisis");
+    let pinned = [];
+    if (!cursorSnapshot && statuses.includes("pending")) {
+      const crisisSnapshot = await collection
+        .where("reviewReasons", "array-contains", "crisis")
+        .where("reviewStatus", "==", "pending")
+        .get();
+      pinned = crisisSnapshot.docs.sort((left, right) => callCreatedAtMillis(right) - callCreatedAtMillis(left));
+    }
+    let query = collection.where("reviewStatus", "in", statuses).orderBy("createdAt", "desc");
+    if (cursorSnapshot) query = query.startAfter(cursorSnapshot);
+    const snapshot = await query.limit(AI_REVIEW_PAGE_SIZE + 1).get();
+    const page = snapshot.docs.slice(0, AI_REVIEW_PAGE_SIZE);
+    res.json({
+      reviews: [...pinned, ...page.filter((doc) => !isPinned(doc))].map(serializeDoc),
+      nextCursor: snapshot.size > AI_REVIEW_PAGE_SIZE ? page[page.length - 1].id : null
+    });
+  } catch (err) {
+    res.status(500).json({ error: err?.message || "Failed to load review queue." });
+  }
+});
+
+app.post("/pharmacist/api/ai/reviews/:id", async (req, res) => {
+  try {
+    const status = String(req.body?.status || "reviewed");
+    const note = String(req.body?.note || "")
+      .trim()
+      .slice(0, 2000);
+    const messageToUser = String(req.body?.messageToUser || "")
+      .trim()
+      .slice(0, 2000);
+    if (!AI_REVIEW_STATUSES.has(status)) {
+      return res.status(400).json({ error: "Unknown review status." });
+    }
+
+    const ref = firestore.collection(AI_RESPONSES_COLLECTION).doc(req.params.id);
+    const snapshot = await ref.get();
+    if (!snapshot.exists) {
+      return res.status(404).json({ error: "Review item not found." });
+    }
+    const before = snapshot.data();
+
+    const update = {
+      reviewStatus: status,
+      reviewNote: note,
+      reviewedBy: req.pharmacist.username,
+      reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    if (messageToUser) {
+      update.messageSessionId = await messageUserAboutReview(before, messageToUser, req.pharmacist);
+      update.userMessagedAt = admin.firestore.FieldValue.serverTimestamp();
+    }
+    await ref.update(update);
+    await recordAudit(req, {
+      action: "review.updated",
+      target: `${AI_RESPONSES_COLLECTION}/${req.params.id}`,
+      before,
+      after: update
+    });
+
+    res.json({ ok: true, messageSessionId: update.messageSessionId || null });
+  } catch (err) {
+    if (err?.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message, assignedTo: err.assignedTo });
+    }
+    console.error("Failed to update review:", err?.message || err);
+    res.status(500).json({ error: "Failed to update review." });
+  }
+});
+
 app.post("/pharmacist/api/calls/:id/status", async (req, res) => {
   try {
     const { id } = req.params;
@@ -650,6 +2521,12 @@ app.post("/pharmacist/api/calls/:id/status", async (req, res) => {
       update.queuePosition = null;
     }
     await callRef.update(update);
+    await recordAudit(req, {
+      action: "call.status_updated",
+      target: `${CALLS_COLLECTION}/${id}`,
+      before: current,
+      after: update
+    });
     await rebalanceCallQueue();
     res.json({ ok: true });
   } catch (err) {
@@ -678,7 +2555,7 @@ app.post("/pharmacist/api/calls/:id/callback", async (req, res) => {
 
     const callbackRef = firestore.collection(CALLS_COLLECTION).doc();
     const now = admin.firestore.FieldValue.serverTimestamp();
-    await callbackRef.set({
+    const callback = {
       id: callbackRef.id,
       userId: source.userId || null,
       callerName: source.callerName || source.userDisplayName || "Unknown caller",
@@ -694,6 +2571,12 @@ app.post("/pharmacist/api/calls/:id/callback", async (req, res) => {
       queuePosition: 1,
       createdAt: now,
       updatedAt: now
+    };
+    await callbackRef.set(callback);
+    await recordAudit(req, {
+      action: "call.callback_started",
+      target: `${CALLS_COLLECTION}/${callbackRef.id}`,
+      changes: auditDiff({}, { status: callback.status, direction: callback.direction, callbackOf: id })
     });
 
     return res.json({
@@ -709,17 +2592,202 @@ app.post("/pharmacist/api/calls/:id/callback", async (req, res) => {
   }
 });
 
-app.post("/pharmacist/api/admin/reset", async (_req, res) => {
+app.post("/pharmacist/api/admin/reset", async (req, res) => {
   try {
     const result = await resetPharmacistData();
+    await recordAudit(req, { action: "admin.reset", changes: {}, metadata: result });
     res.json({ ok: true, ...result });
   } catch (err) {
     res.status(500).json({ error: err?.message || "Failed to reset pharmacist data." });
   }
 });
 
-app.post("/pharmacist/api/presence/heartbeat", async (_req, res) => {
+app.get("/pharmacist/api/admin/accounts", async (_req, res) => {
+  try {
+    const snapshot = await firestore.collection(PHARMACIST_ACCOUNTS_COLLECTION).orderBy("username").get();
+    res.json({ accounts: snapshot.docs.map((doc) => publicPharmacistAccount(doc.data())) });
+  } catch (err) {
+    console.error("Failed to load accounts:", err?.message || err);
+    res.status(500).json({ error: "Failed to load accounts." });
+  }
+});
+
+app.post("/pharmacist/api/admin/accounts", async (req, res) => {
+  const { password, role = "pharmacist" } = req.body || {};
+  const username = normalizeUsername(req.body?.username);
+  const displayName = String(req.body?.displayName || "").trim().slice(0, 120) || username;
+  if (!PHARMACIST_USERNAME_PATTERN.test(username)) {
+    return res.status(400).json({ error: "Username must be 3-64 characters of a-z, 0-9, '.', '_' or '-'." });
+  }
+  if (!pharmacistRoleRank(role)) {
+    return res.status(400).json({ error: `role must be one of ${Object.keys(PHARMACIST_ROLE_RANK).join(", ")}.` });
+  }
+  const passwordError = validatePharmacistPassword(password);
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError });
+  }
+  try {
+    const passwordHash = await hashPassword(password);
+    const ref = firestore.collection(PHARMACIST_ACCOUNTS_COLLECTION).doc(username);
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const account = { username, displayName, role, passwordHash, disabled: false, createdAt: now, updatedAt: now };
+    await firestore.runTransaction(async (tx) => {
+      const existing = await tx.get(ref);
+      if (existing.exists) {
+        const error = new Error("An account with that username already exists.");
+        error.statusCode = 409;
+        throw error;
+      }
+      tx.set(ref, account);
+    });
+    await recordAudit(req, {
+      action: "account.created",
+      target: `${PHARMACIST_ACCOUNTS_COLLECTION}/${username}`,
+      after: account
+    });
+    return res.status(201).json({ account: publicPharmacistAccount({ ...account, createdAt: null }) });
+  } catch (err) {
+    if (err?.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error("Failed to create account:", err?.message || err);
+    return res.status(500).json({ error: "Failed to create account." });
+  }
+});
+
+app.patch("/pharmacist/api/admin/accounts/:username", async (req, res) => {
+  const username = normalizeUsername(req.params.username);
+  const { role, displayName, disabled, password } = req.body || {};
+  const updates = {};
+  if (role !== undefined) {
+    if (!pharmacistRoleRank(role)) {
+      return res.status(400).json({ error: `role must be one of ${Object.keys(PHARMACIST_ROLE_RANK).join(", ")}.` });
+    }
+    updates.role = role;
+  }
+  if (displayName !== undefined) {
+    updates.displayName = String(displayName).trim().slice(0, 120) || username;
+  }
+  if (disabled !== undefined) {
+    if (typeof disabled !== "boolean") {
+      return res.status(400).json({ error: "disabled must be a boolean." });
+    }
+    updates.disabled = disabled;
+  }
+  if (password !== undefined) {
+    const passwordError = validatePharmacistPassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+  }
+  if (!Object.keys(updates).length && password === undefined) {
+    return res.status(400).json({ error: "Nothing to update." });
+  }
+  if (username === req.pharmacist.username && (updates.disabled || (updates.role && updates.role !== "admin"))) {
+    return res.status(400).json({ error: "You cannot disable or demote your own account." });
+  }
+  try {
+    const ref = firestore.collection(PHARMACIST_ACCOUNTS_COLLECTION).doc(username);
+    const snapshot = await ref.get();
+    if (!snapshot.exists) {
+      return res.status(404).json({ error: "Account not found." });
+    }
+    const before = snapshot.data();
+    if (password !== undefined) {
+      updates.passwordHash = await hashPassword(password);
+    }
+    await ref.set({ ...updates, updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+    // Sign the account out everywhere so a new role, password or lock applies immediately.
+    await revokePharmacistSessions(username);
+    await recordAudit(req, {
+      action: "account.updated",
+      target: `${PHARMACIST_ACCOUNTS_COLLECTION}/${username}`,
+      before,
+      after: updates
+    });
+    return res.json({ account: publicPharmacistAccount({ ...before, ...updates }) });
+  } catch (err) {
+    console.error("Failed to update account:", err?.message || err);
+    return res.status(500).json({ error: "Failed to update account." });
+  }
+});
+
+// For a pharmacist who lost their authenticator and recovery codes. They enroll again on next sign-in.
+app.post("/pharmacist/api/admin/accounts/:username/totp/reset", async (req, res) => {
+  const username = normalizeUsername(req.params.username);
+  try {
+    const ref = firestore.collection(PHARMACIST_ACCOUNTS_COLLECTION).doc(username);
+    const snapshot = await ref.get();
+    if (!snapshot.exists) {
+      return res.status(404).json({ error: "Account not found." });
+    }
+    const before = snapshot.data();
+    const updates = {
+      totpEnabled: false,
+      totpSecret: null,
+      totpPendingSecret: null,
+      totpLastStep: 0,
+      totpFailures: 0,
+      totpLockedUntil: null,
+      recoveryCodeHashes: []
+    };
+    await ref.set({ ...updates, updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+    await revokePharmacistSessions(username);
+    await recordAudit(req, {
+      action: "account.totp_reset",
+      target: `${PHARMACIST_ACCOUNTS_COLLECTION}/${username}`,
+      before,
+      after: updates
+    });
+    return res.json({ account: publicPharmacistAccount({ ...before, ...updates }) });
+  } catch (err) {
+    console.error("Failed to reset two-factor sign-in:", err?.message || err);
+    return res.status(500).json({ error: "Failed to reset two-factor sign-in." });
+  }
+});
+
+app.use("/pharmacist/api/audit", requirePharmacistRole("supervisor"));
+
+app.get("/pharmacist/api/audit", async (req, res) => {
+  try {
+    const filters = parseAuditFilters(req.query);
+    const limit = Math.min(AUDIT_VIEW_MAX_ROWS, Math.max(1, Number.parseInt(req.query.limit, 10) || 200));
+    const { entries, truncated } = await loadAuditEntries(filters, limit);
+    res.json({ range: { from: filters.from, to: filters.to }, entries, truncated });
+  } catch (err) {
+    res.status(err?.statusCode || 500).json({ error: err?.message || "Failed to load audit log." });
+  }
+});
+
+app.get("/pharmacist/api/audit/export.csv", async (req, res) => {
+  try {
+    const filters = parseAuditFilters(req.query);
+    const { entries, truncated } = await loadAuditEntries(filters, AUDIT_EXPORT_MAX_ROWS);
+    await recordAudit(req, {
+      action: "audit.exported",
+      changes: {},
+      metadata: {
+        from: filters.from,
+        to: filters.to,
+        actor: filters.actor,
+        action: filters.action,
+        target: filters.target,
+        rows: entries.length
+      }
+    });
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="audit-${filters.from}-to-${filters.to}.csv"`);
+    res.set("X-Audit-Truncated", String(truncated));
+    res.send(auditEntriesToCsv(entries));
+  } catch (err) {
+    res.status(err?.statusCode || 500).json({ error: err?.message || "Failed to export audit log." });
+  }
+});
+
+// Presence pings arrive every few seconds from every open console, so they are left out of the audit log.
+app.post("/pharmacist/api/presence/heartbeat", async (req, res) => {
   try {
+    await touchPharmacistPresence(req.pharmacist);
     await firestore.collection(PRESENCE_COLLECTION).doc("console").set(
       {
         id: "console",
@@ -1040,12 +3108,34 @@ async function ensureDb() {
         success BOOLEAN,
         error TEXT
       );
+      CREATE INDEX IF NOT EXISTS ai_requests_created_at_idx ON ai_requests (created_at);
+      ALTER TABLE ai_requests ADD COLUMN IF NOT EXISTS model TEXT;
+      ALTER TABLE ai_requests ADD COLUMN IF NOT EXISTS latency_ms INT;
+      ALTER TABLE ai_requests ADD COLUMN IF NOT EXISTS prompt_tokens INT;
+      ALTER TABLE ai_requests ADD COLUMN IF NOT EXISTS completion_tokens INT;
+      ALTER TABLE ai_requests ADD COLUMN IF NOT EXISTS retry_count INT;
+      ALTER TABLE ai_requests ADD COLUMN IF NOT EXISTS fallback_reason TEXT;
+      ALTER TABLE ai_requests ADD COLUMN IF NOT EXISTS uid_hash TEXT;
+      ALTER TABLE ai_requests ADD COLUMN IF NOT EXISTS response_id TEXT;
+      ALTER TABLE ai_requests ADD COLUMN IF NOT EXISTS feedback_rating TEXT;
+      ALTER TABLE ai_requests ADD COLUMN IF NOT EXISTS feedback_comment TEXT;
+      ALTER TABLE ai_requests ADD COLUMN IF NOT EXISTS feedback_at TIMESTAMPTZ;
+      ALTER TABLE ai_requests ADD COLUMN IF NOT EXISTS urgency TEXT;
+      ALTER TABLE ai_requests ADD COLUMN IF NOT EXISTS guard_hits JSONB;
+      CREATE INDEX IF NOT EXISTS ai_requests_response_id_idx ON ai_requests (response_id);
     `);
   }
   await dbInitPromise;
 }
 
-async function logAIRequest({ provider, endpoint, payload, response, success, error }) {
+// Keyed so log readers can group requests per user without being able to look the uid up.
+// Without a salt the hash could be reversed by hashing known uids, so none is stored.
+function hashUid(uid) {
+  if (!uid || !AI_LOG_UID_SALT) return null;
+  return crypto.createHmac("sha256", AI_LOG_UID_SALT).update(String(uid)).digest("hex");
+}
+
+async function logAIRequest({ provider, endpoint, payload, response, success, error, uid, usage, responseId }) {
   try {
     const pool = getPool();
     if (!pool) return;
@@ -1053,8 +3143,12 @@ async function logAIRequest({ provider, endpoint, payload, response, success, er
     const entryCount = Array.isArray(payload?.entries) ? payload.entries.length : 0;
     const userQuestion = payload?.userQuestion ?? null;
     await pool.query(
-      `INSERT INTO ai_requests (provider, endpoint, user_question, entry_count, payload, response, success, error)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8);`,
+      `INSERT INTO ai_requests (
+         provider, endpoint, user_question, entry_count, payload, response, success, error,
+         model, latency_ms, prompt_tokens, completion_tokens, retry_count, fallback_reason, uid_hash, response_id,
+         urgency, guard_hits
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18);`,
       [
         provider,
         endpoint,
@@ -1063,7 +3157,17 @@ async function logAIRequest({ provider, endpoint, payload, response, success, er
         payload || null,
         response || null,
         success ?? null,
-        error ?? null
+        error ?? null,
+        usage?.model ?? null,
+        usage?.latencyMs ?? null,
+        usage?.promptTokens ?? null,
+        usage?.completionTokens ?? null,
+        usage?.retries ?? null,
+        usage?.fallbackReason ?? null,
+        hashUid(uid),
+        responseId ?? null,
+        response?.urgency?.level ?? null,
+        usage?.guardHits?.length ? JSON.stringify(usage.guardHits) : null
       ]
     );
   } catch (err) {
@@ -1071,478 +3175,3651 @@ async function logAIRequest({ provider, endpoint, payload, response, success, er
   }
 }
 
-function buildUserPayload(request) {
-  const { entries, timeframe, userPrefs, locale, timezone, userQuestion, preferredLanguage, medicalContext } = request || {};
+function resolveQuotaPlans(raw) {
+  if (!raw) {
+    return DEFAULT_AI_QUOTA_PLANS;
+  }
+  try {
+    return { ...DEFAULT_AI_QUOTA_PLANS, ...JSON.parse(raw) };
+  } catch (err) {
+    console.warn("Ignoring invalid AI_QUOTA_PLANS:", err?.message || err);
+    return DEFAULT_AI_QUOTA_PLANS;
+  }
+}
 
-  const sanitizedEntries = Array.isArray(entries)
-    ? entries.map((entry) => ({
-        id: entry.id,
-        symptomType: entry.symptomType,
-        severity: entry.severity,
-        onset: entry.onset ?? null,
-        durationMinutes: entry.durationMinutes ?? null,
-        triggers: entry.triggers ?? [],
-        notes: entry.notes ?? null,
-        medsTaken: Array.isArray(entry.medsTaken) ? entry.medsTaken : [],
-        sleepHours: userPrefs?.dataMinimizationOn ? null : entry.sleepHours ?? null,
-        hydrationLiters: userPrefs?.dataMinimizationOn ? null : entry.hydrationLiters ?? null,
-        caffeineMg: userPrefs?.dataMinimizationOn ? null : entry.caffeineMg ?? null,
-        alcoholUnits: userPrefs?.dataMinimizationOn ? null : entry.alcoholUnits ?? null
-      }))
-    : [];
+function resolveQuotaPlanName(user) {
+  const claimed = user?.decoded?.plan;
+  if (claimed && AI_QUOTA_PLANS[claimed]) {
+    return claimed;
+  }
+  return AI_QUOTA_PLANS[AI_QUOTA_DEFAULT_PLAN] ? AI_QUOTA_DEFAULT_PLAN : "free";
+}
 
+// Periods are calendar days and months in UTC so every instance agrees on when a budget resets.
+function quotaPeriods(now) {
+  const iso = now.toISOString();
   return {
-    userQuestion: userQuestion || "Analyze my logs",
-    timeframe,
-    locale,
-    timezone,
-    preferredLanguage: preferredLanguage || "English",
-    userPrefs,
-    medicalContext: medicalContext || null,
-    entries: sanitizedEntries
+    daily: {
+      key: `day:${iso.slice(0, 10)}`,
+      resetAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+    },
+    monthly: {
+      key: `month:${iso.slice(0, 7)}`,
+      resetAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+    }
   };
 }
 
-async function callOpenAI(input) {
-  if (!OPENAI_API_KEY) {
-    return { error: "Missing OPENAI_API_KEY" };
+async function ensureQuotaDb(pool) {
+  if (!quotaDbInitPromise) {
+    quotaDbInitPromise = pool
+      .query(`
+        CREATE TABLE IF NOT EXISTS ai_quota_usage (
+          uid TEXT NOT NULL,
+          period TEXT NOT NULL,
+          used INT NOT NULL DEFAULT 0,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          PRIMARY KEY (uid, period)
+        );
+      `)
+      .catch((err) => {
+        quotaDbInitPromise = null;
+        throw err;
+      });
   }
+  await quotaDbInitPromise;
+}
 
-  const response = await fetch("https://api.openai.com/v1/responses", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${OPENAI_API_KEY}`
-    },
-    body: JSON.stringify({
-      model: OPENAI_MODEL,
-      input,
-      text: {
-        format: {
-          type: "json_schema",
-          name: "SymptomNerdAIResponse",
-          schema: responseSchema,
-          strict: true
-        }
+function changeMemoryQuotaUsage(uid, periodKeys, delta) {
+  if (aiQuotaUsage.size > 50_000) {
+    for (const key of aiQuotaUsage.keys()) {
+      if (!periodKeys.some((period) => key.endsWith(`|${period}`))) {
+        aiQuotaUsage.delete(key);
       }
-    })
-  });
-
-  const data = await response.json();
-  if (!response.ok) {
-    const message = data?.error?.message || "OpenAI error";
-    throw new Error(message);
+    }
   }
+  const usage = {};
+  for (const period of periodKeys) {
+    const key = `${uid}|${period}`;
+    const used = Math.max(0, (aiQuotaUsage.get(key) || 0) + delta);
+    aiQuotaUsage.set(key, used);
+    usage[period] = used;
+  }
+  return usage;
+}
 
-  const outputText = data.output_text || data.output?.[0]?.content?.[0]?.text;
-  if (!outputText) {
-    throw new Error("No output_text returned from OpenAI");
+// Returns the new usage and the store that counted it. Passing that store back pins a refund to the store
+// that took the charge, rather than falling back to memory when Postgres fails in between.
+async function changeQuotaUsage(uid, periodKeys, delta, store = null) {
+  const pool = store === "memory" ? null : getDatabasePool();
+  if (pool) {
+    try {
+      await ensureQuotaDb(pool);
+      const { rows } = await pool.query(
+        `INSERT INTO ai_quota_usage (uid, period, used)
+         SELECT $1, period, GREATEST($3, 0) FROM unnest($2::text[]) AS period
+         ON CONFLICT (uid, period)
+         DO UPDATE SET used = GREATEST(ai_quota_usage.used + $3, 0), updated_at = NOW()
+         RETURNING period, used;`,
+        [uid, periodKeys, delta]
+      );
+      return { store: "postgres", usage: Object.fromEntries(rows.map((row) => [row.period, row.used])) };
+    } catch (err) {
+      if (store === "postgres") throw err;
+      console.warn("AI quota store unavailable, counting in memory:", err?.message || err);
+    }
   }
+  return { store: "memory", usage: changeMemoryQuotaUsage(uid, periodKeys, delta) };
+}
 
-  return JSON.parse(outputText);
+function describeQuotaWindow(limit, used, resetAt) {
+  return {
+    limit: limit ?? null,
+    used,
+    remaining: limit == null ? null : Math.max(0, limit - used),
+    resetAt: resetAt.toISOString()
+  };
 }
 
-async function callGemini(contents, payload, useSchema = true) {
-  if (!GEMINI_API_KEY) {
-    return fallbackResponse("Missing GEMINI_API_KEY", payload);
+// Charges an AI request against the user's daily and monthly budgets: one unit per model call it will make.
+// A request that would exceed either budget is not charged.
+async function consumeAIQuota(user, units = 1, now = new Date()) {
+  const planName = resolveQuotaPlanName(user);
+  const plan = AI_QUOTA_PLANS[planName];
+  const periods = quotaPeriods(now);
+  const periodKeys = [periods.daily.key, periods.monthly.key];
+  const { store, usage } = await changeQuotaUsage(user.uid, periodKeys, units);
+  const dailyUsed = usage[periods.daily.key] ?? 0;
+  const monthlyUsed = usage[periods.monthly.key] ?? 0;
+  const exceeded =
+    plan.daily != null && dailyUsed > plan.daily
+      ? "daily"
+      : plan.monthly != null && monthlyUsed > plan.monthly
+        ? "monthly"
+        : null;
+  if (exceeded) {
+    await changeQuotaUsage(user.uid, periodKeys, -units, store).catch((err) => {
+      console.warn("Failed to roll back an over-quota AI charge:", err?.message || err);
+    });
   }
+  const charge = exceeded ? 0 : units;
+  return {
+    uid: user.uid,
+    plan: planName,
+    periodKeys,
+    store,
+    units,
+    charged: !exceeded,
+    exceeded,
+    daily: describeQuotaWindow(plan.daily, dailyUsed - units + charge, periods.daily.resetAt),
+    monthly: describeQuotaWindow(plan.monthly, monthlyUsed - units + charge, periods.monthly.resetAt)
+  };
+}
 
-  const body = useSchema
-    ? {
-        system_instruction: {
-          parts: [{ text: systemPrompt }]
-        },
-        contents,
-        generationConfig: {
-          responseMimeType: "application/json",
-          responseSchema: geminiResponseSchema
-        }
-      }
-    : {
-        system_instruction: {
-          parts: [{ text: systemPrompt }]
-        },
-        contents
-      };
-
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 15000);
+function setQuotaHeaders(res, quota) {
+  if (!res || res.headersSent) return;
+  res.set("X-AI-Quota-Plan", quota.plan);
+  for (const [name, window] of [
+    ["Daily", quota.daily],
+    ["Monthly", quota.monthly]
+  ]) {
+    if (window.limit == null) continue;
+    res.set(`X-AI-Quota-${name}-Limit`, String(window.limit));
+    res.set(`X-AI-Quota-${name}-Remaining`, String(window.remaining));
+    res.set(`X-AI-Quota-${name}-Reset`, window.resetAt);
+  }
+}
 
+// Requests answered by the local fallback (or that fail outright) are handed back to the user. A partial
+// refund covers the model calls of a multi-call request that no provider answered.
+async function refundAIQuota(res, quota, units = quota?.units) {
+  if (!quota?.charged || !units) return;
+  quota.charged = false;
   try {
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-goog-api-key": GEMINI_API_KEY
-        },
-        body: JSON.stringify(body),
-        signal: controller.signal
-      }
-    );
-
-    const data = await response.json();
-    if (!response.ok) {
-      const message =
-        data?.error?.message ||
-        data?.error?.status ||
-        "Gemini error";
-      if (useSchema && /responseMimeType|responseSchema/i.test(message)) {
-        return callGemini(contents, payload, false);
-      }
-      return fallbackResponse(message, payload);
+    await changeQuotaUsage(quota.uid, quota.periodKeys, -units, quota.store);
+  } catch (err) {
+    console.warn("Failed to refund AI quota:", err?.message || err);
+    return;
+  }
+  for (const window of [quota.daily, quota.monthly]) {
+    window.used = Math.max(0, window.used - units);
+    if (window.limit != null) {
+      window.remaining = Math.min(window.limit, window.remaining + units);
     }
+  }
+  setQuotaHeaders(res, quota);
+}
 
-    const outputText = data?.candidates?.[0]?.content?.parts?.[0]?.text;
-    if (!outputText) {
-      return fallbackResponse("No output text returned from Gemini", payload);
+function sendQuotaExceeded(res, quota) {
+  const window = quota[quota.exceeded];
+  const retryAfterSeconds = Math.max(1, Math.ceil((Date.parse(window.resetAt) - Date.now()) / 1000));
+  res.set("Retry-After", String(retryAfterSeconds));
+  return res.status(429).json({
+    error: `${quota.exceeded === "daily" ? "Daily" : "Monthly"} AI quota reached for the ${quota.plan} plan.`,
+    quota: {
+      plan: quota.plan,
+      period: quota.exceeded,
+      limit: window.limit,
+      resetAt: window.resetAt
     }
+  });
+}
 
-    return normalizeAIResponse(parseJsonResponse(outputText, payload), payload);
-  } catch (error) {
-    const message = error?.name === "AbortError" ? "Gemini request timed out" : error?.message || "Gemini error";
-    return fallbackResponse(message, payload);
-  } finally {
-    clearTimeout(timeout);
-  }
+const AI_ANALYTICS_MAX_DAYS = 366;
+
+function analyticsError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
 }
 
-function parseJsonResponse(text, payload) {
-  try {
-    return JSON.parse(text);
-  } catch {
-    const start = text.indexOf("{");
-    const end = text.lastIndexOf("}");
-    if (start !== -1 && end !== -1 && end > start) {
-      const slice = text.slice(start, end + 1);
-      return JSON.parse(slice);
-    }
-    return fallbackResponse(text, payload);
+function getAnalyticsPool() {
+  const pool = getPool();
+  if (!pool) {
+    throw analyticsError("AI analytics need request logging. Set NEON_DATABASE_URL and LOG_AI_REQUESTS=true.", 503);
   }
+  return pool;
 }
 
-function fallbackResponse(text, payload) {
-  const fallbackFromPayload = buildFallbackFromPayload(payload);
-  if (fallbackFromPayload) {
-    if (text && !/Summary unavailable/i.test(text)) {
-      fallbackFromPayload.disclaimer =
-        fallbackFromPayload.disclaimer + " (AI service note: " + text + ")";
-    }
-    return fallbackFromPayload;
+// Ranges are whole UTC days, inclusive of both ends; the default is the last seven days.
+function parseAnalyticsRange(query = {}) {
+  const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+  const to = query.to ? String(query.to) : new Date().toISOString().slice(0, 10);
+  if (!isDay(to)) {
+    throw analyticsError("to must be a date in YYYY-MM-DD format.", 400);
+  }
+  const end = new Date(Date.parse(`${to}T00:00:00Z`) + DAY_MS);
+  const from = query.from ? String(query.from) : new Date(end.getTime() - 7 * DAY_MS).toISOString().slice(0, 10);
+  if (!isDay(from)) {
+    throw analyticsError("from must be a date in YYYY-MM-DD format.", 400);
+  }
+  const start = new Date(`${from}T00:00:00Z`);
+  const days = Math.round((end - start) / DAY_MS);
+  if (days < 1) {
+    throw analyticsError("from must not be after to.", 400);
   }
+  if (days > AI_ANALYTICS_MAX_DAYS) {
+    throw analyticsError(`Date ranges are limited to ${AI_ANALYTICS_MAX_DAYS} days.`, 400);
+  }
+  return { from, to, days, start, end };
+}
+
+function rateOf(count, total) {
+  return total ? round(count / total, 4) : null;
+}
+
+const AI_ANALYTICS_COUNTS_SQL = `
+  COUNT(*)::int AS requests,
+  COUNT(*) FILTER (WHERE success IS NOT TRUE)::int AS failures,
+  COUNT(*) FILTER (WHERE provider = 'fallback' OR fallback_reason IS NOT NULL)::int AS fallbacks`;
+
+async function loadAIUsageAnalytics(range) {
+  const pool = getAnalyticsPool();
+  await ensureDb();
+  const params = [range.start, range.end];
+  const [totals, daily, providers, fallbackReasons] = await Promise.all([
+    pool.query(
+      `SELECT ${AI_ANALYTICS_COUNTS_SQL},
+         COUNT(*) FILTER (WHERE retry_count > 0)::int AS retried,
+         COUNT(*) FILTER (
+           WHERE jsonb_typeof(response->'redFlags') = 'array' AND jsonb_array_length(response->'redFlags') > 0
+         )::int AS with_red_flags
+       FROM ai_requests
+       WHERE created_at >= $1 AND created_at < $2;`,
+      params
+    ),
+    pool.query(
+      `SELECT to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS day, ${AI_ANALYTICS_COUNTS_SQL}
+       FROM ai_requests
+       WHERE created_at >= $1 AND created_at < $2
+       GROUP BY 1
+       ORDER BY 1;`,
+      params
+    ),
+    pool.query(
+      `SELECT provider, ${AI_ANALYTICS_COUNTS_SQL},
+         percentile_cont(0.5) WITHIN GROUP (ORDER BY latency_ms::float8) AS p50,
+         percentile_cont(0.9) WITHIN GROUP (ORDER BY latency_ms::float8) AS p90,
+         percentile_cont(0.99) WITHIN GROUP (ORDER BY latency_ms::float8) AS p99,
+         AVG(prompt_tokens)::float8 AS avg_prompt_tokens,
+         AVG(completion_tokens)::float8 AS avg_completion_tokens
+       FROM ai_requests
+       WHERE created_at >= $1 AND created_at < $2
+       GROUP BY provider
+       ORDER BY requests DESC;`,
+      params
+    ),
+    pool.query(
+      `SELECT fallback_reason AS reason, COUNT(*)::int AS count
+       FROM ai_requests
+       WHERE created_at >= $1 AND created_at < $2 AND fallback_reason IS NOT NULL
+       GROUP BY fallback_reason
+       ORDER BY count DESC;`,
+      params
+    )
+  ]);
+
+  const summary = totals.rows[0] || { requests: 0, failures: 0, fallbacks: 0, retried: 0, with_red_flags: 0 };
+  const byDay = new Map(daily.rows.map((row) => [row.day, row]));
   return {
-    recap: text.slice(0, 400) || "Summary unavailable.",
-    patterns: [],
-    suggestions: [
-      "Consider tracking when symptoms start and any possible triggers.",
-      "If anything feels urgent or severe, seek medical care."
-    ],
-    redFlags: [],
-    questionsForClinician: ["What additional details would be helpful to record?"],
-    disclaimer:
-      "This app provides informational pattern-based insights only and does not provide medical diagnosis. If you think this may be an emergency, call your local emergency number."
+    range: { from: range.from, to: range.to },
+    totals: {
+      requests: summary.requests,
+      failures: summary.failures,
+      fallbacks: summary.fallbacks,
+      retried: summary.retried,
+      withRedFlags: summary.with_red_flags,
+      failureRate: rateOf(summary.failures, summary.requests),
+      fallbackRate: rateOf(summary.fallbacks, summary.requests),
+      redFlagRate: rateOf(summary.with_red_flags, summary.requests)
+    },
+    daily: Array.from({ length: range.days }, (_, index) => {
+      const day = new Date(range.start.getTime() + index * DAY_MS).toISOString().slice(0, 10);
+      const row = byDay.get(day);
+      return {
+        day,
+        requests: row?.requests || 0,
+        failures: row?.failures || 0,
+        fallbacks: row?.fallbacks || 0
+      };
+    }),
+    providers: providers.rows.map((row) => ({
+      provider: row.provider || "unknown",
+      requests: row.requests,
+      failureRate: rateOf(row.failures, row.requests),
+      fallbackRate: rateOf(row.fallbacks, row.requests),
+      latencyMs: {
+        p50: row.p50 == null ? null : Math.round(row.p50),
+        p90: row.p90 == null ? null : Math.round(row.p90),
+        p99: row.p99 == null ? null : Math.round(row.p99)
+      },
+      avgPromptTokens: row.avg_prompt_tokens == null ? null : Math.round(row.avg_prompt_tokens),
+      avgCompletionTokens: row.avg_completion_tokens == null ? null : Math.round(row.avg_completion_tokens)
+    })),
+    fallbackReasons: fallbackReasons.rows
   };
 }
 
-function normalizeAIResponse(raw, payload) {
-  if (
-    raw &&
-    typeof raw === "object" &&
-    typeof raw.recap === "string" &&
-    Array.isArray(raw.patterns) &&
-    Array.isArray(raw.suggestions) &&
-    Array.isArray(raw.redFlags) &&
-    Array.isArray(raw.questionsForClinician) &&
-    typeof raw.disclaimer === "string"
-  ) {
-    const cleaned = {
+async function loadAISymptomAnalytics(range, limit) {
+  const pool = getAnalyticsPool();
+  await ensureDb();
+  const params = [range.start, range.end, limit];
+  const [symptoms, redFlags] = await Promise.all([
+    pool.query(
+      `SELECT MIN(entry->>'symptomType') AS symptom_type,
+         COUNT(*)::int AS entries,
+         COUNT(DISTINCT r.id)::int AS requests
+       FROM ai_requests r
+       CROSS JOIN LATERAL jsonb_array_elements(
+         CASE WHEN jsonb_typeof(r.payload->'entries') = 'array' THEN r.payload->'entries' ELSE '[]'::jsonb END
+       ) AS entry
+       WHERE r.created_at >= $1 AND r.created_at < $2 AND COALESCE(TRIM(entry->>'symptomType'), '') <> ''
+       GROUP BY LOWER(TRIM(entry->>'symptomType'))
+       ORDER BY requests DESC, entries DESC
+       LIMIT $3;`,
+      params
+    ),
+    pool.query(
+      `SELECT MIN(flag->>'title') AS title,
+         flag->>'severity' AS severity,
+         COUNT(*)::int AS count,
+         COUNT(*) FILTER (WHERE flag ? 'ruleId' OR flag ? 'interactionId')::int AS from_local_checks
+       FROM ai_requests r
+       CROSS JOIN LATERAL jsonb_array_elements(
+         CASE WHEN jsonb_typeof(r.response->'redFlags') = 'array' THEN r.response->'redFlags' ELSE '[]'::jsonb END
+       ) AS flag
+       WHERE r.created_at >= $1 AND r.created_at < $2 AND COALESCE(TRIM(flag->>'title'), '') <> ''
+       GROUP BY LOWER(TRIM(flag->>'title')), flag->>'severity'
+       ORDER BY count DESC
+       LIMIT $3;`,
+      params
+    )
+  ]);
+  return {
+    range: { from: range.from, to: range.to },
+    topSymptoms: symptoms.rows.map((row) => ({
+      symptomType: row.symptom_type,
+      requests: row.requests,
+      entries: row.entries
+    })),
+    redFlags: redFlags.rows.map((row) => ({
+      title: row.title,
+      severity: row.severity || null,
+      count: row.count,
+      fromLocalChecks: row.from_local_checks
+    }))
+  };
+}
+
+const MAX_FIELD_ERRORS = 50;
+
+function jsonTypeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isFinite(value) ? "number" : "invalid-number";
+  return typeof value;
+}
+
+function isValidTimezone(value) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Validates the JSON-schema subset used by the AIRequest contract: type, enum, required, properties, items, lengths and ranges.
+function validateSchema(value, schema, field, errors) {
+  if (errors.length >= MAX_FIELD_ERRORS) return;
+  const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const actual = jsonTypeOf(value);
+  const matchesType = allowed.includes(actual) || (actual === "number" && allowed.includes("integer") && Number.isInteger(value));
+  if (!matchesType) {
+    errors.push({ field, message: `must be ${allowed.join(" or ")}, got ${actual}` });
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(", ")}` });
+  }
+  if (actual === "string") {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push({ field, message: "must not be empty" });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.format === "date-time" && !Number.isFinite(Date.parse(value))) {
+      errors.push({ field, message: "must be an ISO 8601 date-time" });
+    }
+    if (schema.format === "timezone" && !isValidTimezone(value)) {
+      errors.push({ field, message: "must be an IANA time zone such as Europe/London" });
+    }
+  }
+  if (actual === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be at most ${schema.maximum}` });
+    }
+  }
+  if (actual === "array") {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must contain at most ${schema.maxItems} items` });
+      return;
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateSchema(item, schema.items, `${field}[${index}]`, errors));
+    }
+  }
+  if (actual === "object" && schema.properties) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ field: `${field}.${key}`, message: "is required" });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (value[key] !== undefined) {
+        validateSchema(value[key], propertySchema, `${field}.${key}`, errors);
+      }
+    }
+  }
+}
+
+function validateAIRequestBody(
+  body,
+  { chat = false, maxEntries = AI_REQUEST_LIMITS.maxEntries, attachments = true } = {}
+) {
+  const errors = [];
+  if (!body || typeof body !== "object" || body.request === undefined) {
+    return [{ field: "request", message: "is required" }];
+  }
+  const schema =
+    maxEntries === AI_REQUEST_LIMITS.maxEntries
+      ? aiRequestSchema
+      : {
+          ...aiRequestSchema,
+          properties: { ...aiRequestSchema.properties, entries: { ...aiRequestSchema.properties.entries, maxItems: maxEntries } }
+        };
+  validateSchema(body.request, schema, "request", errors);
+  const timeframe = body.request?.timeframe;
+  if (timeframe?.start && timeframe?.end && Date.parse(timeframe.end) < Date.parse(timeframe.start)) {
+    errors.push({ field: "request.timeframe.end", message: "must not be before timeframe.start" });
+  }
+  const entries = Array.isArray(body.request?.entries) ? body.request.entries : [];
+  const attachmentCount = entries.reduce(
+    (count, entry) => count + (Array.isArray(entry?.attachments) ? entry.attachments.length : 0),
+    0
+  );
+  if (!attachments) {
+    entries.forEach((entry, index) => {
+      if (Array.isArray(entry?.attachments) && entry.attachments.length) {
+        errors.push({ field: `request.entries[${index}].attachments`, message: "are only accepted on /ai/analyze" });
+      }
+    });
+  } else if (attachmentCount > AI_REQUEST_LIMITS.maxAttachments) {
+    errors.push({ field: "request.entries", message: `must contain at most ${AI_REQUEST_LIMITS.maxAttachments} attachments in total` });
+  }
+  if (body.escalationConsent !== undefined) {
+    validateSchema(body.escalationConsent, { type: "boolean" }, "escalationConsent", errors);
+  }
+  if (chat) {
+    if (body.conversationId !== undefined && body.conversationId !== null) {
+      validateSchema(body.conversationId, { type: "string", minLength: 1, maxLength: 128 }, "conversationId", errors);
+    }
+  }
+  return errors.slice(0, MAX_FIELD_ERRORS);
+}
+
+function sendValidationErrors(res, fieldErrors, error = "Invalid AIRequest.") {
+  return res.status(400).json({ error, fieldErrors });
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PNG_METADATA_CHUNKS = new Set(["eXIf", "tEXt", "zTXt", "iTXt", "tIME"]);
+const WEBP_METADATA_CHUNKS = new Set(["EXIF", "XMP "]);
+
+const IMAGE_SIGNATURES = {
+  "image/jpeg": (buffer) => buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  "image/png": (buffer) => buffer.length > 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE),
+  "image/webp": (buffer) =>
+    buffer.length > 12 && buffer.toString("latin1", 0, 4) === "RIFF" && buffer.toString("latin1", 8, 12) === "WEBP"
+};
+
+function corruptImage(mimeType) {
+  return new Error(`is not a readable ${mimeType} file`);
+}
+
+// Keeps JFIF (APP0), ICC profiles (APP2) and Adobe colour info (APP14); drops EXIF/XMP (APP1), other
+// application segments and comments. Everything from start-of-scan on is pixel data and copied as-is.
+function stripJpegMetadata(buffer) {
+  const parts = [buffer.subarray(0, 2)];
+  let offset = 2;
+  while (offset + 2 <= buffer.length) {
+    if (buffer[offset] !== 0xff) throw corruptImage("image/jpeg");
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    if (marker === 0xda || marker === 0xd9) {
+      parts.push(buffer.subarray(offset));
+      return Buffer.concat(parts);
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      parts.push(buffer.subarray(offset, offset + 2));
+      offset += 2;
+      continue;
+    }
+    if (offset + 4 > buffer.length) break;
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (end > buffer.length) break;
+    const isMetadata = marker === 0xe1 || (marker >= 0xe3 && marker <= 0xed) || marker === 0xef || marker === 0xfe;
+    if (!isMetadata) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+  }
+  throw corruptImage("image/jpeg");
+}
+
+function stripPngMetadata(buffer) {
+  const parts = [PNG_SIGNATURE];
+  let offset = 8;
+  while (offset + 12 <= buffer.length) {
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    const end = offset + 12 + buffer.readUInt32BE(offset);
+    if (end > buffer.length) break;
+    if (!PNG_METADATA_CHUNKS.has(type)) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    if (type === "IEND") {
+      return Buffer.concat(parts);
+    }
+    offset = end;
+  }
+  throw corruptImage("image/png");
+}
+
+function stripWebpMetadata(buffer) {
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString("latin1", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const end = offset + 8 + size + (size % 2);
+    if (offset + 8 + size > buffer.length) throw corruptImage("image/webp");
+    if (!WEBP_METADATA_CHUNKS.has(type)) {
+      const chunk = Buffer.from(buffer.subarray(offset, Math.min(end, buffer.length)));
+      if (type === "VP8X" && size >= 1) {
+        // Clear the EXIF (0x08) and XMP (0x04) presence flags now that those chunks are gone.
+        chunk[8] &= ~0x0c;
+      }
+      chunks.push(chunk);
+    }
+    offset = end;
+  }
+  if (!chunks.length) throw corruptImage("image/webp");
+  const body = Buffer.concat(chunks);
+  const header = Buffer.alloc(12);
+  header.write("RIFF", 0, "latin1");
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write("WEBP", 8, "latin1");
+  return Buffer.concat([header, body]);
+}
+
+function stripImageMetadata(mimeType, buffer) {
+  if (mimeType === "image/jpeg") return stripJpegMetadata(buffer);
+  if (mimeType === "image/png") return stripPngMetadata(buffer);
+  return stripWebpMetadata(buffer);
+}
+
+// Decodes, type-checks and strips entry photos. The returned images carry the bytes for the vendor
+// call only; the payload (and so the request log) sees just ref, type, size and hash.
+function prepareImageAttachments(request) {
+  const images = [];
+  const fieldErrors = [];
+  if (request?.userPrefs?.dataMinimizationOn) {
+    return { images, fieldErrors };
+  }
+  (request?.entries || []).forEach((entry, entryIndex) => {
+    (entry?.attachments || []).forEach((attachment, index) => {
+      const field = `request.entries[${entryIndex}].attachments[${index}].data`;
+      const encoded = attachment.data.replace(/^data:[\w/+.-]+;base64,/, "").replace(/\s+/g, "");
+      if (!/^[A-Za-z0-9+/]+={0,2}$/.test(encoded)) {
+        fieldErrors.push({ field, message: "must be base64-encoded image data" });
+        return;
+      }
+      const raw = Buffer.from(encoded, "base64");
+      if (raw.length > AI_MAX_IMAGE_BYTES) {
+        fieldErrors.push({ field, message: `must be at most ${AI_MAX_IMAGE_BYTES} bytes` });
+        return;
+      }
+      if (!IMAGE_SIGNATURES[attachment.mimeType](raw)) {
+        fieldErrors.push({ field, message: `does not contain ${attachment.mimeType} data` });
+        return;
+      }
+      let stripped;
+      try {
+        stripped = stripImageMetadata(attachment.mimeType, raw);
+      } catch (err) {
+        fieldErrors.push({ field, message: err.message });
+        return;
+      }
+      images.push({
+        ref: `image_${images.length + 1}`,
+        entryIndex,
+        mimeType: attachment.mimeType,
+        caption: attachment.caption ?? null,
+        bytes: stripped.length,
+        sha256: crypto.createHash("sha256").update(stripped).digest("hex"),
+        data: stripped.toString("base64")
+      });
+    });
+  });
+  return { images, fieldErrors };
+}
+
+function buildUserPayload(request, images = []) {
+  const { entries, timeframe, userPrefs, locale, timezone, userQuestion, preferredLanguage, medicalContext } = request || {};
+
+  const sanitizedEntries = Array.isArray(entries)
+    ? entries.map((entry, index) => ({
+        id: entry.id,
+        symptomType: entry.symptomType,
+        severity: entry.severity,
+        onset: entry.onset ?? null,
+        durationMinutes: entry.durationMinutes ?? null,
+        triggers: entry.triggers ?? [],
+        notes: entry.notes ?? null,
+        medsTaken: Array.isArray(entry.medsTaken) ? entry.medsTaken : [],
+        sleepHours: userPrefs?.dataMinimizationOn ? null : entry.sleepHours ?? null,
+        hydrationLiters: userPrefs?.dataMinimizationOn ? null : entry.hydrationLiters ?? null,
+        caffeineMg: userPrefs?.dataMinimizationOn ? null : entry.caffeineMg ?? null,
+        alcoholUnits: userPrefs?.dataMinimizationOn ? null : entry.alcoholUnits ?? null,
+        attachments: images
+          .filter((image) => image.entryIndex === index)
+          .map(({ ref, mimeType, caption, bytes, sha256 }) => ({ ref, mimeType, caption, bytes, sha256 }))
+      }))
+    : [];
+
+  return {
+    userQuestion: userQuestion || "Analyze my logs",
+    timeframe,
+    locale,
+    timezone,
+    preferredLanguage: preferredLanguage || "English",
+    userPrefs,
+    medicalContext: medicalContext || null,
+    entries: sanitizedEntries,
+    computedStats: computeSymptomStats(sanitizedEntries, {
+      timezone,
+      includeLifestyle: !userPrefs?.dataMinimizationOn
+    })
+  };
+}
+
+const LIFESTYLE_FACTORS = [
+  { key: "sleepHours", label: "sleep hours" },
+  { key: "hydrationLiters", label: "hydration" },
+  { key: "caffeineMg", label: "caffeine intake" },
+  { key: "alcoholUnits", label: "alcohol units" }
+];
+const TIME_OF_DAY_BUCKETS = [
+  { name: "night", fromHour: 0 },
+  { name: "morning", fromHour: 6 },
+  { name: "afternoon", fromHour: 12 },
+  { name: "evening", fromHour: 18 }
+];
+const MIN_CORRELATION_SAMPLES = 4;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function linearSlope(points) {
+  if (points.length < 2) return null;
+  const meanX = mean(points.map((point) => point.x));
+  const meanY = mean(points.map((point) => point.y));
+  let numerator = 0;
+  let denominator = 0;
+  for (const point of points) {
+    numerator += (point.x - meanX) * (point.y - meanY);
+    denominator += (point.x - meanX) ** 2;
+  }
+  return denominator === 0 ? null : numerator / denominator;
+}
+
+function pearson(pairs) {
+  if (pairs.length < MIN_CORRELATION_SAMPLES) return null;
+  const meanX = mean(pairs.map((pair) => pair.x));
+  const meanY = mean(pairs.map((pair) => pair.y));
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (const pair of pairs) {
+    covariance += (pair.x - meanX) * (pair.y - meanY);
+    varianceX += (pair.x - meanX) ** 2;
+    varianceY += (pair.y - meanY) ** 2;
+  }
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+function describeTrend(slopePerDay) {
+  if (slopePerDay === null) return "unknown";
+  if (slopePerDay >= 0.05) return "rising";
+  if (slopePerDay <= -0.05) return "falling";
+  return "stable";
+}
+
+function describeCorrelation(r) {
+  const magnitude = Math.abs(r);
+  if (magnitude >= 0.7) return "strong";
+  if (magnitude >= 0.4) return "moderate";
+  if (magnitude >= 0.2) return "weak";
+  return "negligible";
+}
+
+function localHour(onsetMs, timezone) {
+  try {
+    const hour = new Intl.DateTimeFormat("en-US", { hour: "numeric", hourCycle: "h23", timeZone: timezone || "UTC" })
+      .formatToParts(new Date(onsetMs))
+      .find((part) => part.type === "hour")?.value;
+    return Number(hour) % 24;
+  } catch {
+    return new Date(onsetMs).getUTCHours();
+  }
+}
+
+function severityTrend(points) {
+  const slope = linearSlope(points);
+  return {
+    slopePerDay: slope === null ? null : round(slope, 3),
+    direction: describeTrend(slope),
+    sampleSize: points.length
+  };
+}
+
+function computeSymptomStats(entries, { timezone, includeLifestyle = true } = {}) {
+  const scored = entries
+    .map((entry) => ({ entry, severity: severityOf(entry), onsetMs: Date.parse(entry.onset || "") }))
+    .filter((item) => item.severity !== null);
+  const timed = scored.filter((item) => Number.isFinite(item.onsetMs));
+  const firstOnsetMs = timed.length ? Math.min(...timed.map((item) => item.onsetMs)) : 0;
+  const toPoint = (item) => ({ x: (item.onsetMs - firstOnsetMs) / DAY_MS, y: item.severity });
+
+  const bySymptom = new Map();
+  for (const entry of entries) {
+    if (!entry.symptomType) continue;
+    const key = String(entry.symptomType).toLowerCase();
+    if (!bySymptom.has(key)) bySymptom.set(key, { symptomType: entry.symptomType, entries: [] });
+    bySymptom.get(key).entries.push(entry);
+  }
+  const symptoms = [...bySymptom.values()]
+    .map(({ symptomType, entries: symptomEntries }) => {
+      const severities = symptomEntries.map(severityOf).filter((value) => value !== null);
+      const points = timed.filter((item) => symptomEntries.includes(item.entry)).map(toPoint);
+      return {
+        symptomType,
+        count: symptomEntries.length,
+        share: round(symptomEntries.length / entries.length),
+        averageSeverity: severities.length ? round(mean(severities), 1) : null,
+        maxSeverity: severities.length ? Math.max(...severities) : null,
+        trend: severityTrend(points)
+      };
+    })
+    .sort((left, right) => right.count - left.count);
+
+  const buckets = Object.fromEntries(TIME_OF_DAY_BUCKETS.map((bucket) => [bucket.name, 0]));
+  for (const entry of entries) {
+    const onsetMs = Date.parse(entry.onset || "");
+    if (!Number.isFinite(onsetMs)) continue;
+    const hour = localHour(onsetMs, timezone);
+    const bucket = [...TIME_OF_DAY_BUCKETS].reverse().find((candidate) => hour >= candidate.fromHour);
+    buckets[bucket.name] += 1;
+  }
+  const timedCount = Object.values(buckets).reduce((sum, value) => sum + value, 0);
+  const [peak, peakCount] = Object.entries(buckets).sort((left, right) => right[1] - left[1])[0];
+
+  const correlations = includeLifestyle
+    ? LIFESTYLE_FACTORS.map(({ key, label }) => {
+        const pairs = scored
+          .filter((item) => typeof item.entry[key] === "number" && Number.isFinite(item.entry[key]))
+          .map((item) => ({ x: item.entry[key], y: item.severity }));
+        const r = pearson(pairs);
+        return r === null ? null : { factor: key, label, r: round(r), strength: describeCorrelation(r), sampleSize: pairs.length };
+      }).filter(Boolean)
+    : [];
+
+  return {
+    entryCount: entries.length,
+    averageSeverity: scored.length ? round(mean(scored.map((item) => item.severity)), 1) : null,
+    symptoms,
+    severityTrend: severityTrend(timed.map(toPoint)),
+    timeOfDay: {
+      buckets,
+      peak: timedCount ? peak : null,
+      peakShare: timedCount ? round(peakCount / timedCount) : null
+    },
+    correlations
+  };
+}
+
+function buildStatsPatterns(stats) {
+  if (!stats || stats.entryCount === 0) return [];
+  const patterns = [];
+  const top = stats.symptoms[0];
+  if (top && stats.symptoms.length > 1) {
+    patterns.push(`${top.symptomType} was your most frequent symptom (${top.count} of ${stats.entryCount} entries).`);
+  }
+  for (const symptom of stats.symptoms.slice(0, 3)) {
+    const hasTrend = symptom.trend.direction === "rising" || symptom.trend.direction === "falling";
+    if (hasTrend && symptom.trend.sampleSize >= 3) {
+      const perWeek = Math.abs(symptom.trend.slopePerDay * 7).toFixed(1);
+      patterns.push(
+        `${symptom.symptomType} severity has been ${symptom.trend.direction} (about ${perWeek} points per week across ${symptom.trend.sampleSize} entries).`
+      );
+    }
+  }
+  if (stats.timeOfDay.peak && stats.timeOfDay.peakShare > 0.5 && stats.entryCount >= 3) {
+    patterns.push(
+      `Most symptoms started in the ${stats.timeOfDay.peak} (${Math.round(stats.timeOfDay.peakShare * 100)}% of timed entries).`
+    );
+  }
+  for (const correlation of stats.correlations) {
+    if (correlation.strength === "negligible" || correlation.strength === "weak") continue;
+    const direction = correlation.r > 0 ? "higher" : "lower";
+    patterns.push(
+      `${direction[0].toUpperCase()}${direction.slice(1)} ${correlation.label} tended to coincide with higher severity (${correlation.strength} correlation, r=${correlation.r}, ${correlation.sampleSize} entries). This is an association, not proof of cause.`
+    );
+  }
+  return patterns;
+}
+
+const PHI_PLACEHOLDER_PATTERN = /\[(?:NAME|EMAIL|PHONE|ADDRESS|DOB|ID|DATE|POSTCODE)_\d+\]/g;
+const MONTH_NAMES = "Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|Jun(?:e)?|Jul(?:y)?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?";
+const DATE_TEXT = `(?:\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|\\d{1,2}(?:st|nd|rd|th)?\\s+(?:${MONTH_NAMES}),?\\s+\\d{4}|(?:${MONTH_NAMES})\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4})`;
+
+// Applied in order; `group` redacts only that capture so labels such as "DOB:" or "Dr." stay readable.
+const PHI_PATTERNS = [
+  { type: "EMAIL", level: "standard", pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+  {
+    type: "DOB",
+    level: "standard",
+    pattern: new RegExp(`\\b(?:dob|d\\.o\\.b\\.?|date of birth|birth ?date|born(?: on)?)\\s*[:#-]?\\s*(${DATE_TEXT})`, "gi"),
+    group: 1
+  },
+  { type: "ID", level: "standard", pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  {
+    type: "ID",
+    level: "standard",
+    pattern:
+      /\b(?:mrn|ssn|nhs(?: number)?|medical record(?: number)?|patient id|insurance(?: id| number)?|policy(?: number)?|passport(?: number)?|member id|health card(?: number)?|id number)\s*(?:#|no\.?|number)?\s*[:#-]?\s*([A-Z0-9][A-Z0-9 -]{3,}[A-Z0-9])/gi,
+    group: 1
+  },
+  {
+    type: "ADDRESS",
+    level: "standard",
+    pattern:
+      /\b\d{1,5}\s+(?:[A-Z][A-Za-z'-]*\s+){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Close|Crescent|Parkway|Pkwy)\b\.?/g
+  },
+  { type: "PHONE", level: "standard", pattern: /(?<![\w/])\+?\(?\d[\d\s().-]{5,}\d(?![\w/])/g, validate: isLikelyPhoneNumber },
+  {
+    type: "NAME",
+    level: "standard",
+    pattern: /\b(?:Dr|Mr|Mrs|Ms|Miss|Mx|Prof|Nurse)\.?\s+([A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?)/g,
+    group: 1
+  },
+  {
+    type: "NAME",
+    level: "standard",
+    pattern: /\b(?:[Mm]y name is|[Nn]ame's|[Cc]all me|[Mm]y (?:husband|wife|partner|son|daughter|mother|father|mom|mum|dad|doctor|GP),?)\s+([A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?)/g,
+    group: 1
+  },
+  { type: "DATE", level: "strict", pattern: new RegExp(`\\b${DATE_TEXT}\\b`, "gi") },
+  { type: "POSTCODE", level: "strict", pattern: /\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b/g },
+  { type: "POSTCODE", level: "strict", pattern: /\b\d{5}(?:-\d{4})?\b/g }
+];
+
+function isLikelyPhoneNumber(candidate) {
+  const digits = candidate.replace(/\D/g, "");
+  if (digits.length < 7 || digits.length > 15) return false;
+  return !/^\d{4}-\d{2}-\d{2}$/.test(candidate.trim()) && !/^\d{1,2}[.-]\d{1,2}[.-]\d{2,4}$/.test(candidate.trim());
+}
+
+function createRedactionVault() {
+  return { byValue: new Map(), byPlaceholder: new Map(), counts: {} };
+}
+
+function placeholderFor(vault, type, value) {
+  const key = `${type}:${value.toLowerCase()}`;
+  if (!vault.byValue.has(key)) {
+    vault.counts[type] = (vault.counts[type] || 0) + 1;
+    const placeholder = `[${type}_${vault.counts[type]}]`;
+    vault.byValue.set(key, placeholder);
+    vault.byPlaceholder.set(placeholder, value);
+  }
+  return vault.byValue.get(key);
+}
+
+function redactText(text, vault, { level, knownNames = [] }) {
+  if (typeof text !== "string" || !text || level === "off") return text;
+  let output = text;
+  for (const rule of PHI_PATTERNS) {
+    if (rule.level === "strict" && level !== "strict") continue;
+    output = output.replace(rule.pattern, (match, ...groups) => {
+      const target = rule.group ? groups[rule.group - 1] : match;
+      if (!target || (rule.validate && !rule.validate(target))) return match;
+      return match.replace(target, placeholderFor(vault, rule.type, target));
+    });
+  }
+  for (const name of knownNames) {
+    output = output.replace(new RegExp(`\\b${escapeRegExp(name)}\\b`, "gi"), (match) =>
+      placeholderFor(vault, "NAME", match)
+    );
+  }
+  return output;
+}
+
+function redactStrings(value, vault, options) {
+  if (typeof value === "string") return redactText(value, vault, options);
+  if (Array.isArray(value)) return value.map((item) => redactStrings(item, vault, options));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactStrings(item, vault, options)]));
+  }
+  return value;
+}
+
+function knownNamesForUser(user) {
+  if (!user || user.callerName === `User ${String(user.uid || "unknown").slice(0, 6)}`) return [];
+  return [user.firstName, user.lastName].filter((name) => typeof name === "string" && name.trim().length >= 3);
+}
+
+function redactPayload(payload, history, { level = PHI_REDACTION_LEVEL, user } = {}) {
+  const vault = createRedactionVault();
+  if (level === "off") return { payload, history, vault };
+  const options = { level, knownNames: knownNamesForUser(user) };
+  const strict = level === "strict";
+  const medicalContext = payload.medicalContext
+    ? strict
+      ? redactStrings(payload.medicalContext, vault, options)
+      : {
+          ...payload.medicalContext,
+          notes: redactText(payload.medicalContext.notes, vault, options),
+          recentHealthHistory: Array.isArray(payload.medicalContext.recentHealthHistory)
+            ? payload.medicalContext.recentHealthHistory.map((item) =>
+                item && typeof item === "object" ? { ...item, notes: redactText(item.notes, vault, options) } : item
+              )
+            : payload.medicalContext.recentHealthHistory
+        }
+    : payload.medicalContext;
+
+  return {
+    payload: {
+      ...payload,
+      userQuestion: redactText(payload.userQuestion, vault, options),
+      medicalContext,
+      entries: payload.entries.map((entry) => ({
+        ...entry,
+        notes: redactText(entry.notes, vault, options),
+        triggers: strict ? redactStrings(entry.triggers, vault, options) : entry.triggers,
+        attachments: (entry.attachments || []).map((attachment) => ({
+          ...attachment,
+          caption: redactText(attachment.caption, vault, options)
+        }))
+      }))
+    },
+    history: history.map((message) => ({ ...message, content: redactText(message.content, vault, options) })),
+    vault
+  };
+}
+
+function restorePlaceholders(value, vault) {
+  if (!vault || vault.byPlaceholder.size === 0) return value;
+  if (typeof value === "string") {
+    return value.replace(PHI_PLACEHOLDER_PATTERN, (placeholder) => vault.byPlaceholder.get(placeholder) ?? placeholder);
+  }
+  if (Array.isArray(value)) return value.map((item) => restorePlaceholders(item, vault));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restorePlaceholders(item, vault)]));
+  }
+  return value;
+}
+
+// Holds back a trailing, possibly incomplete "[PLACEHOLDER" so streamed deltas never leak half a token.
+function createPlaceholderStreamRestorer(vault, onText) {
+  let pending = "";
+  return {
+    push(text) {
+      pending += text;
+      const openIndex = pending.lastIndexOf("[");
+      const cut = openIndex !== -1 && !pending.slice(openIndex).includes("]") && pending.length - openIndex <= 16
+        ? openIndex
+        : pending.length;
+      const ready = pending.slice(0, cut);
+      pending = pending.slice(cut);
+      if (ready) onText(restorePlaceholders(ready, vault));
+    },
+    flush() {
+      if (pending) onText(restorePlaceholders(pending, vault));
+      pending = "";
+    },
+    reset() {
+      pending = "";
+    }
+  };
+}
+
+const AI_ERROR_MESSAGES = {
+  not_configured: "The AI service is not available right now.",
+  auth: "The AI service is not available right now.",
+  timeout: "The AI service took too long to respond.",
+  rate_limited: "The AI service is busy right now.",
+  unavailable: "The AI service is temporarily unavailable.",
+  network: "The AI service could not be reached.",
+  rejected: "The AI service could not process this request.",
+  invalid_response: "The AI service returned a response we could not read."
+};
+const RETRYABLE_AI_ERRORS = new Set(["rate_limited", "unavailable", "network"]);
+
+// detail is for logs and diagnostics only; clients get publicMessage.
+function aiProviderError(provider, kind, detail, { status = null, retryAfterMs = null } = {}) {
+  const error = new Error(detail);
+  error.provider = provider;
+  error.kind = kind;
+  error.status = status;
+  error.retryAfterMs = retryAfterMs;
+  error.publicMessage = AI_ERROR_MESSAGES[kind] || AI_ERROR_MESSAGES.unavailable;
+  return error;
+}
+
+function classifyAIError(provider, err) {
+  if (err?.kind) {
+    return err;
+  }
+  if (err instanceof SyntaxError) {
+    return aiProviderError(provider, "invalid_response", err.message);
+  }
+  return aiProviderError(provider, "unavailable", err?.message || "Provider error");
+}
+
+function classifyHttpStatus(status) {
+  if (status === 429) return "rate_limited";
+  if (status === 401 || status === 403) return "auth";
+  if (status === 408) return "timeout";
+  if (status >= 500) return "unavailable";
+  return "rejected";
+}
+
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function retryDelay(retry) {
+  // Full jitter keeps concurrent requests from retrying in lockstep.
+  const ceiling = Math.min(AI_HTTP_RETRY_MAX_MS, AI_HTTP_RETRY_BASE_MS * 2 ** retry);
+  return Math.round(Math.random() * ceiling);
+}
+
+// Shared outbound policy for vendor calls. With stream=true the timeout only covers the response
+// headers; the caller bounds the body through `signal`.
+async function fetchWithPolicy(provider, url, init, { stream = false, signal, usage } = {}) {
+  for (let retries = 0; ; retries += 1) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), AI_HTTP_TIMEOUT_MS);
+    let error;
+    try {
+      const response = await fetch(url, {
+        ...init,
+        signal: signal ? AbortSignal.any([signal, controller.signal]) : controller.signal
+      });
+      if (response.ok) {
+        if (stream) {
+          return { response, retries };
+        }
+        const data = await response.json().catch(() => {
+          throw aiProviderError(provider, "invalid_response", `${provider} returned a non-JSON body`);
+        });
+        return { data, retries };
+      }
+      const data = await response.json().catch(() => ({}));
+      error = aiProviderError(
+        provider,
+        classifyHttpStatus(response.status),
+        data?.error?.message || data?.error?.status || `${provider} error (HTTP ${response.status})`,
+        { status: response.status, retryAfterMs: parseRetryAfter(response.headers.get("retry-after")) }
+      );
+    } catch (err) {
+      if (err?.kind) {
+        throw err;
+      }
+      if (err?.name === "AbortError") {
+        throw aiProviderError(provider, "timeout", `${provider} request timed out`);
+      }
+      error = aiProviderError(provider, "network", err?.cause?.code || err?.cause?.message || err?.message || "Network error");
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    const delay = error.retryAfterMs ?? retryDelay(retries);
+    // A Retry-After longer than we are willing to wait is better served by the next provider in the chain.
+    if (!RETRYABLE_AI_ERRORS.has(error.kind) || retries >= AI_HTTP_MAX_RETRIES || delay > AI_HTTP_RETRY_MAX_MS) {
+      throw error;
+    }
+    getProviderHealth(provider).totalRetries += 1;
+    if (usage) {
+      usage.retries += 1;
+    }
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+}
+
+function buildOpenAIRequestBody(input, stream = false) {
+  return {
+    model: OPENAI_MODEL,
+    input,
+    stream,
+    text: {
+      format: {
+        type: "json_schema",
+        name: "SymptomNerdAIResponse",
+        schema: responseSchema,
+        strict: true
+      }
+    }
+  };
+}
+
+function recordOpenAIUsage(usage, data) {
+  if (!usage || !data) return;
+  usage.model = data.model || OPENAI_MODEL;
+  usage.promptTokens = data.usage?.input_tokens ?? null;
+  usage.completionTokens = data.usage?.output_tokens ?? null;
+}
+
+async function callOpenAI(input, usage) {
+  if (!OPENAI_API_KEY) {
+    throw aiProviderError("openai", "not_configured", "Missing OPENAI_API_KEY");
+  }
+
+  const { data } = await fetchWithPolicy(
+    "openai",
+    "https://api.openai.com/v1/responses",
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${OPENAI_API_KEY}`
+      },
+      body: JSON.stringify(buildOpenAIRequestBody(input))
+    },
+    { usage }
+  );
+  recordOpenAIUsage(usage, data);
+
+  const outputText = data.output_text || data.output?.[0]?.content?.[0]?.text;
+  if (!outputText) {
+    throw aiProviderError("openai", "invalid_response", "No output_text returned from OpenAI");
+  }
+
+  return JSON.parse(outputText);
+}
+
+async function streamOpenAI(input, onText, usage) {
+  if (!OPENAI_API_KEY) {
+    throw aiProviderError("openai", "not_configured", "Missing OPENAI_API_KEY");
+  }
+
+  // The timer restarts on every chunk, so it bounds silence rather than total generation time.
+  const controller = new AbortController();
+  let timeout = setTimeout(() => controller.abort(), AI_HTTP_TIMEOUT_MS);
+  const touch = () => {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => controller.abort(), AI_HTTP_TIMEOUT_MS);
+  };
+
+  try {
+    const { response } = await fetchWithPolicy(
+      "openai",
+      "https://api.openai.com/v1/responses",
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "text/event-stream",
+          Authorization: `Bearer ${OPENAI_API_KEY}`
+        },
+        body: JSON.stringify(buildOpenAIRequestBody(input, true))
+      },
+      { stream: true, signal: controller.signal, usage }
+    );
+
+    let outputText = "";
+    await readSseStream(response, (data) => {
+      touch();
+      const event = JSON.parse(data);
+      if (event.type === "response.output_text.delta" && event.delta) {
+        outputText += event.delta;
+        onText(event.delta);
+      } else if (event.type === "response.completed") {
+        recordOpenAIUsage(usage, event.response);
+      } else if (event.type === "error" || event.type === "response.failed") {
+        throw aiProviderError(
+          "openai",
+          "unavailable",
+          event.error?.message || event.response?.error?.message || "OpenAI stream error"
+        );
+      }
+    });
+
+    if (!outputText) {
+      throw aiProviderError("openai", "invalid_response", "No output_text returned from OpenAI");
+    }
+    return JSON.parse(outputText);
+  } catch (error) {
+    if (error?.name === "AbortError") {
+      throw aiProviderError("openai", "timeout", "OpenAI stream stalled");
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function buildGeminiBody(contents, useSchema) {
+  return useSchema
+    ? {
+        system_instruction: {
+          parts: [{ text: systemPrompt }]
+        },
+        contents,
+        generationConfig: {
+          responseMimeType: "application/json",
+          responseSchema: geminiResponseSchema
+        }
+      }
+    : {
+        system_instruction: {
+          parts: [{ text: systemPrompt }]
+        },
+        contents
+      };
+}
+
+function isGeminiSchemaRejection(error, useSchema) {
+  return useSchema && error?.kind === "rejected" && /responseMimeType|responseSchema/i.test(error.message);
+}
+
+function recordGeminiUsage(usage, data) {
+  if (!usage || !data) return;
+  usage.model = data.modelVersion || usage.model || GEMINI_MODEL;
+  if (data.usageMetadata) {
+    usage.promptTokens = data.usageMetadata.promptTokenCount ?? null;
+    usage.completionTokens = data.usageMetadata.candidatesTokenCount ?? null;
+  }
+}
+
+async function callGemini(contents, payload, usage, useSchema = true) {
+  if (!GEMINI_API_KEY) {
+    throw aiProviderError("gemini", "not_configured", "Missing GEMINI_API_KEY");
+  }
+
+  let data;
+  try {
+    ({ data } = await fetchWithPolicy(
+      "gemini",
+      `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "x-goog-api-key": GEMINI_API_KEY
+        },
+        body: JSON.stringify(buildGeminiBody(contents, useSchema))
+      },
+      { usage }
+    ));
+  } catch (error) {
+    if (isGeminiSchemaRejection(error, useSchema)) {
+      return callGemini(contents, payload, usage, false);
+    }
+    throw error;
+  }
+
+  const outputText = data?.candidates?.[0]?.content?.parts?.[0]?.text;
+  if (!outputText) {
+    throw aiProviderError("gemini", "invalid_response", "No output text returned from Gemini");
+  }
+  recordGeminiUsage(usage, data);
+
+  return normalizeAIResponse(parseJsonResponse(outputText, payload, usage), payload);
+}
+
+async function streamGemini(contents, payload, onText, usage, useSchema = true) {
+  if (!GEMINI_API_KEY) {
+    throw aiProviderError("gemini", "not_configured", "Missing GEMINI_API_KEY");
+  }
+
+  // The timer restarts on every chunk, so it bounds silence rather than total generation time.
+  const controller = new AbortController();
+  let timeout = setTimeout(() => controller.abort(), AI_HTTP_TIMEOUT_MS);
+  const touch = () => {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => controller.abort(), AI_HTTP_TIMEOUT_MS);
+  };
+
+  try {
+    let response;
+    try {
+      ({ response } = await fetchWithPolicy(
+        "gemini",
+        `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:streamGenerateContent?alt=sse`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "x-goog-api-key": GEMINI_API_KEY
+          },
+          body: JSON.stringify(buildGeminiBody(contents, useSchema))
+        },
+        { stream: true, signal: controller.signal, usage }
+      ));
+    } catch (error) {
+      if (isGeminiSchemaRejection(error, useSchema)) {
+        clearTimeout(timeout);
+        return streamGemini(contents, payload, onText, usage, false);
+      }
+      throw error;
+    }
+
+    let outputText = "";
+    await readSseStream(response, (data) => {
+      touch();
+      const chunk = JSON.parse(data);
+      recordGeminiUsage(usage, chunk);
+      const text = (chunk?.candidates?.[0]?.content?.parts || []).map((part) => part.text || "").join("");
+      if (text) {
+        outputText += text;
+        onText(text);
+      }
+    });
+
+    if (!outputText) {
+      throw aiProviderError("gemini", "invalid_response", "No output text returned from Gemini");
+    }
+
+    return normalizeAIResponse(parseJsonResponse(outputText, payload, usage), payload);
+  } catch (error) {
+    if (error?.name === "AbortError") {
+      throw aiProviderError("gemini", "timeout", "Gemini stream stalled");
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function readSseStream(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let boundary = buffer.search(/\r?\n\r?\n/);
+    while (boundary !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, "");
+      const data = rawEvent
+        .split(/\r?\n/)
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).trimStart())
+        .join("\n");
+      if (data && data !== "[DONE]") {
+        onData(data);
+      }
+      boundary = buffer.search(/\r?\n\r?\n/);
+    }
+  }
+}
+
+// Pulls the (possibly unterminated) value of a top-level string field out of streamed JSON text.
+function extractPartialJsonString(text, key) {
+  const match = new RegExp(`"${key}"\\s*:\\s*"`).exec(text);
+  if (!match) return "";
+  const escapes = { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f" };
+  let value = "";
+  for (let i = match.index + match[0].length; i < text.length; i += 1) {
+    const char = text[i];
+    if (char === '"') break;
+    if (char !== "\\") {
+      value += char;
+      continue;
+    }
+    const next = text[i + 1];
+    if (next === undefined) break;
+    if (next === "u") {
+      const hex = text.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      value += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+      continue;
+    }
+    value += escapes[next] ?? next;
+    i += 1;
+  }
+  return value;
+}
+
+function createRecapStreamer(onRecapDelta) {
+  let buffer = "";
+  let emitted = 0;
+  return (text) => {
+    buffer += text;
+    const recap = extractPartialJsonString(buffer, "recap");
+    if (recap.length > emitted) {
+      onRecapDelta(recap.slice(emitted));
+      emitted = recap.length;
+    }
+  };
+}
+
+// Holds recap text back until a sentence is complete and sends it through the output guard,
+// so a sentence the guard would rewrite or drop never reaches the client as written.
+// Splits the same way as applyOutputGuard, so the streamed text matches the guarded recap.
+function createGuardedRecapStream(onRecapDelta) {
+  let pending = "";
+  let sent = "";
+  const send = (sentence) => {
+    const guarded = guardText(sentence, "recap", []);
+    if (!guarded) return;
+    const delta = sent ? ` ${guarded}` : guarded;
+    sent += delta;
+    onRecapDelta(delta);
+  };
+  return {
+    push(delta) {
+      const sentences = (pending + delta).split(/(?<=[.!?])\s+/);
+      pending = sentences.pop();
+      sentences.forEach(send);
+    },
+    flush() {
+      send(pending);
+      pending = "";
+      return sent;
+    }
+  };
+}
+
+const MOCK_AI_SCENARIO_NAMES = new Set([
+  "success",
+  "wrapped_json",
+  "legacy_shape",
+  "schemaless_text",
+  "malformed_json",
+  "empty",
+  "vendor_error",
+  "rate_limited",
+  "timeout",
+  "unsafe_language"
+]);
+let mockScenarioCursor = 0;
+
+function nextMockScenario(requested) {
+  if (requested && MOCK_AI_SCENARIO_NAMES.has(requested)) return requested;
+  const scenario = MOCK_AI_SCENARIOS[mockScenarioCursor % MOCK_AI_SCENARIOS.length];
+  mockScenarioCursor += 1;
+  return MOCK_AI_SCENARIO_NAMES.has(scenario) ? scenario : "success";
+}
+
+function buildMockResponse(payload) {
+  const symptoms = Array.from(new Set((payload.entries || []).map((entry) => entry.symptomType).filter(Boolean)));
+  const stats = payload.computedStats;
+  const question = String(payload.userQuestion || "Analyze my logs").split("\n")[0].slice(0, 140);
+  const recap = [
+    `Mock analysis for "${question}".`,
+    symptoms.length
+      ? `Symptoms reviewed: ${symptoms.join(", ")}.`
+      : payload.periodSummaries?.length
+        ? `Combined ${payload.periodSummaries.length} period summaries.`
+        : "No symptom entries were shared.",
+    stats?.averageSeverity !== null && stats?.averageSeverity !== undefined
+      ? `Average severity ${stats.averageSeverity}/10 across ${stats.entryCount} entries.`
+      : ""
+  ]
+    .filter(Boolean)
+    .join(" ");
+  return {
+    recap,
+    patterns: buildStatsPatterns(stats),
+    suggestions: [
+      "Keep logging onset, duration and possible triggers for each symptom.",
+      "Ask a pharmacist to review any medicines you take alongside these symptoms."
+    ],
+    redFlags: [],
+    urgency: { level: "self-care", rationale: "Mock urgency; local safety checks may raise it." },
+    questionsForClinician: [`What could explain ${symptoms[0] || "these symptoms"} in my case?`],
+    disclaimer:
+      "Mock response for development only. Not medical advice. If you think this may be an emergency, call your local emergency number."
+  };
+}
+
+// Produces raw model text for a scenario, or throws the way a vendor call would.
+async function runMockScenario(scenario, payload) {
+  if (MOCK_AI_DELAY_MS) {
+    await new Promise((resolve) => setTimeout(resolve, MOCK_AI_DELAY_MS));
+  }
+  const response = buildMockResponse(payload);
+  switch (scenario) {
+    case "timeout":
+      await new Promise((resolve) => setTimeout(resolve, MOCK_AI_TIMEOUT_MS));
+      throw aiProviderError("mock", "timeout", "Mock request timed out");
+    case "vendor_error":
+      throw aiProviderError("mock", "unavailable", "The model is overloaded. Please try again later.", { status: 503 });
+    case "rate_limited":
+      throw aiProviderError("mock", "rate_limited", "Resource has been exhausted (e.g. check quota).", {
+        status: 429
+      });
+    case "empty":
+      throw aiProviderError("mock", "invalid_response", "No output text returned from mock provider");
+    case "wrapped_json":
+      return `Sure! Here is the analysis you asked for:\n\`\`\`json\n${JSON.stringify(response, null, 2)}\n\`\`\`\nLet me know if you need more.`;
+    case "legacy_shape":
+      return JSON.stringify({
+        summary: {
+          notedSymptoms: [response.recap],
+          identifiedPatterns: response.patterns,
+          generalObservations: response.suggestions
+        },
+        warnings: ["Seek care if symptoms worsen."],
+        disclaimer: "Mock legacy-shaped response."
+      });
+    case "schemaless_text":
+      return `${response.recap} Overall the logs look manageable, but keep an eye on changes.`;
+    case "unsafe_language":
+      return JSON.stringify({
+        ...response,
+        recap: `You have a migraine. ${response.recap}`,
+        suggestions: [
+          "Take 400 mg ibuprofen every 6 hours.",
+          "You need antibiotics.",
+          "Ask a pharmacist whether to stop taking your medication.",
+          ...response.suggestions
+        ]
+      });
+    case "malformed_json":
+      return `{"recap": "${response.recap.replace(/"/g, "'")}", "patterns": ["unterminated`;
+    default:
+      return JSON.stringify(response);
+  }
+}
+
+async function callMock(turns, onText, usage) {
+  const scenario = nextMockScenario(turns.mockScenario);
+  const text = await runMockScenario(scenario, turns.payload);
+  if (onText) {
+    for (let index = 0; index < text.length; index += 24) {
+      onText(text.slice(index, index + 24));
+    }
+  }
+  if (usage) {
+    usage.model = "mock";
+  }
+  return normalizeAIResponse(parseJsonResponse(text, turns.payload, usage), turns.payload);
+}
+
+function buildGeminiContents({ payload, history, images = [] }) {
+  return [
+    ...history.map((message) => ({
+      role: message.role === "assistant" ? "model" : "user",
+      parts: [{ text: message.content }]
+    })),
+    {
+      role: "user",
+      parts: [
+        {
+          text:
+            "User question: " +
+            (payload.userQuestion || "Analyze my logs") +
+            "\n\nPayload:\n" +
+            JSON.stringify(payload)
+        },
+        ...images.flatMap((image) => [
+          { text: `Attachment ${image.ref}:` },
+          { inline_data: { mime_type: image.mimeType, data: image.data } }
+        ])
+      ]
+    }
+  ];
+}
+
+function buildOpenAIInput({ payload, history, images = [] }) {
+  return [
+    { role: "system", content: systemPrompt },
+    ...history.map((message) => ({
+      role: message.role === "assistant" ? "assistant" : "user",
+      content: message.content
+    })),
+    {
+      role: "user",
+      content: images.length
+        ? [
+            { type: "input_text", text: JSON.stringify(payload) },
+            ...images.flatMap((image) => [
+              { type: "input_text", text: `Attachment ${image.ref}:` },
+              { type: "input_image", image_url: `data:${image.mimeType};base64,${image.data}` }
+            ])
+          ]
+        : JSON.stringify(payload)
+    }
+  ];
+}
+
+const aiProviders = {
+  gemini: {
+    isConfigured: () => Boolean(GEMINI_API_KEY),
+    generate: (turns, usage) => callGemini(buildGeminiContents(turns), turns.payload, usage),
+    stream: (turns, onText, usage) => streamGemini(buildGeminiContents(turns), turns.payload, onText, usage)
+  },
+  openai: {
+    isConfigured: () => Boolean(OPENAI_API_KEY),
+    generate: async (turns, usage) =>
+      normalizeAIResponse(await callOpenAI(buildOpenAIInput(turns), usage), turns.payload),
+    stream: async (turns, onText, usage) =>
+      normalizeAIResponse(await streamOpenAI(buildOpenAIInput(turns), onText, usage), turns.payload)
+  },
+  mock: {
+    isConfigured: () => true,
+    generate: (turns, usage) => callMock(turns, null, usage),
+    stream: (turns, onText, usage) => callMock(turns, onText, usage)
+  }
+};
+
+const providerHealth = new Map();
+
+function getProviderHealth(name) {
+  if (!providerHealth.has(name)) {
+    providerHealth.set(name, {
+      consecutiveFailures: 0,
+      totalSuccesses: 0,
+      totalFailures: 0,
+      totalRetries: 0,
+      openedUntil: 0,
+      trialInFlight: false,
+      lastError: null,
+      lastFailureAt: 0,
+      lastSuccessAt: 0,
+      lastLatencyMs: null
+    });
+  }
+  return providerHealth.get(name);
+}
+
+function isCircuitOpen(health) {
+  return health.openedUntil > Date.now();
+}
+
+// Once the cooldown ends a tripped circuit lets a single request through as the half-open trial;
+// everything else keeps failing over until that trial succeeds or re-opens the circuit.
+function circuitSkipReason(health) {
+  if (isCircuitOpen(health)) return "circuit_open";
+  if (health.consecutiveFailures < AI_CIRCUIT_FAILURE_THRESHOLD) return null;
+  if (health.trialInFlight) return "circuit_half_open";
+  health.trialInFlight = true;
+  return null;
+}
+
+function recordProviderSuccess(name, latencyMs) {
+  const health = getProviderHealth(name);
+  if (health.consecutiveFailures >= AI_CIRCUIT_FAILURE_THRESHOLD) {
+    console.log(`AI provider ${name} recovered; circuit closed.`);
+  }
+  health.consecutiveFailures = 0;
+  health.openedUntil = 0;
+  health.trialInFlight = false;
+  health.totalSuccesses += 1;
+  health.lastSuccessAt = Date.now();
+  health.lastLatencyMs = latencyMs;
+}
+
+function recordProviderFailure(name, err) {
+  const health = getProviderHealth(name);
+  health.consecutiveFailures += 1;
+  health.totalFailures += 1;
+  health.trialInFlight = false;
+  health.lastFailureAt = Date.now();
+  health.lastError = err?.kind ? `${err.kind}: ${err.message}` : err?.message || String(err);
+  // Once tripped, every further failure (including the half-open trial after cooldown) re-opens the circuit.
+  if (health.consecutiveFailures >= AI_CIRCUIT_FAILURE_THRESHOLD) {
+    health.openedUntil = Date.now() + AI_CIRCUIT_COOLDOWN_MS;
+    console.warn(`AI provider ${name} circuit opened for ${AI_CIRCUIT_COOLDOWN_MS}ms: ${health.lastError}`);
+  }
+}
+
+function getProviderStatus() {
+  return AI_PROVIDER_CHAIN.map((name) => {
+    const health = getProviderHealth(name);
+    return {
+      name,
+      configured: aiProviders[name].isConfigured(),
+      circuit: isCircuitOpen(health)
+        ? "open"
+        : health.consecutiveFailures >= AI_CIRCUIT_FAILURE_THRESHOLD
+          ? "half_open"
+          : "closed",
+      consecutiveFailures: health.consecutiveFailures,
+      totalSuccesses: health.totalSuccesses,
+      totalFailures: health.totalFailures,
+      totalRetries: health.totalRetries,
+      lastError: health.lastError,
+      lastFailureAt: health.lastFailureAt ? new Date(health.lastFailureAt).toISOString() : null,
+      lastSuccessAt: health.lastSuccessAt ? new Date(health.lastSuccessAt).toISOString() : null,
+      lastLatencyMs: health.lastLatencyMs
+    };
+  });
+}
+
+function createUsageRecord() {
+  return {
+    model: null,
+    promptTokens: null,
+    completionTokens: null,
+    retries: 0,
+    latencyMs: null,
+    fallbackReason: null,
+    guardHits: []
+  };
+}
+
+async function generateWithFailover(turns, { onRecapDelta, onReset } = {}) {
+  const attempts = [];
+  const usage = createUsageRecord();
+  const requestStartedAt = Date.now();
+  for (const name of AI_PROVIDER_CHAIN) {
+    const provider = aiProviders[name];
+    if (!provider.isConfigured()) {
+      attempts.push({ provider: name, skipped: "not_configured" });
+      continue;
+    }
+    const skipReason = circuitSkipReason(getProviderHealth(name));
+    if (skipReason) {
+      attempts.push({ provider: name, skipped: skipReason });
+      continue;
+    }
+    const startedAt = Date.now();
+    let streamedAny = false;
+    const recapStream = onRecapDelta
+      ? createGuardedRecapStream((delta) => {
+          streamedAny = true;
+          onRecapDelta(delta);
+        })
+      : null;
+    Object.assign(usage, { model: null, promptTokens: null, completionTokens: null, fallbackReason: null, guardHits: [] });
+    try {
+      const result = recapStream
+        ? await provider.stream(turns, createRecapStreamer(recapStream.push), usage)
+        : await provider.generate(turns, usage);
+      const streamedRecap = recapStream?.flush();
+      recordProviderSuccess(name, Date.now() - startedAt);
+      usage.latencyMs = Date.now() - requestStartedAt;
+      const guarded = applyOutputGuard(result, turns.payload);
+      usage.guardHits = guarded.hits;
+      // Streamed sentences are already guarded; the recap is only replaced as a whole when the
+      // final one still differs, e.g. when every sentence was dropped and the fallback recap is used.
+      if (streamedAny && onReset && guarded.response.recap !== streamedRecap) {
+        onReset();
+        onRecapDelta(guarded.response.recap);
+      }
+      return { result: guarded.response, provider: name, attempts, fallbackReason: null, errorDetail: null, usage };
+    } catch (err) {
+      const error = classifyAIError(name, err);
+      recordProviderFailure(name, error);
+      attempts.push({ provider: name, kind: error.kind, error: error.message, publicMessage: error.publicMessage });
+      if (streamedAny && onReset) {
+        onReset();
+      }
+    }
+  }
+
+  const lastFailure = [...attempts].reverse().find((attempt) => attempt.error);
+  const fallbackReason = lastFailure?.publicMessage || AI_ERROR_MESSAGES.not_configured;
+  Object.assign(usage, {
+    model: null,
+    promptTokens: null,
+    completionTokens: null,
+    latencyMs: Date.now() - requestStartedAt,
+    fallbackReason: lastFailure?.kind || "no_provider"
+  });
+  return {
+    result: fallbackResponse(fallbackReason, turns.payload),
+    provider: null,
+    attempts,
+    fallbackReason,
+    errorDetail: lastFailure ? `${lastFailure.provider} ${lastFailure.kind}: ${lastFailure.error}` : "No AI provider available",
+    usage
+  };
+}
+
+function parseJsonResponse(text, payload, usage) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    const start = text.indexOf("{");
+    const end = text.lastIndexOf("}");
+    if (start !== -1 && end !== -1 && end > start) {
+      const slice = text.slice(start, end + 1);
+      return JSON.parse(slice);
+    }
+    if (usage) {
+      usage.fallbackReason = "unparseable_output";
+    }
+    return fallbackResponse(text, payload);
+  }
+}
+
+function fallbackResponse(text, payload) {
+  const fallbackFromPayload = buildFallbackFromPayload(payload);
+  if (fallbackFromPayload) {
+    if (text && !/Summary unavailable/i.test(text)) {
+      fallbackFromPayload.disclaimer =
+        fallbackFromPayload.disclaimer + " (AI service note: " + text + ")";
+    }
+    return fallbackFromPayload;
+  }
+  return {
+    recap: text.slice(0, 400) || "Summary unavailable.",
+    patterns: [],
+    suggestions: [
+      "Consider tracking when symptoms start and any possible triggers.",
+      "If anything feels urgent or severe, seek medical care."
+    ],
+    redFlags: [],
+    urgency: { ...DEFAULT_FALLBACK_URGENCY },
+    questionsForClinician: ["What additional details would be helpful to record?"],
+    disclaimer:
+      "This app provides informational pattern-based insights only and does not provide medical diagnosis. If you think this may be an emergency, call your local emergency number."
+  };
+}
+
+function normalizeAIResponse(raw, payload) {
+  if (
+    raw &&
+    typeof raw === "object" &&
+    typeof raw.recap === "string" &&
+    Array.isArray(raw.patterns) &&
+    Array.isArray(raw.suggestions) &&
+    Array.isArray(raw.redFlags) &&
+    Array.isArray(raw.questionsForClinician) &&
+    typeof raw.disclaimer === "string"
+  ) {
+    const cleaned = {
       recap: raw.recap,
       patterns: sanitizeList(raw.patterns),
       suggestions: sanitizeList(raw.suggestions),
-      redFlags: Array.isArray(raw.redFlags) ? raw.redFlags : [],
+      redFlags: sanitizeRedFlags(raw.redFlags),
+      urgency: sanitizeUrgency(raw.urgency),
       questionsForClinician: sanitizeList(raw.questionsForClinician),
       disclaimer: raw.disclaimer
     };
-    return ensureRelevant(cleaned, payload);
+    return ensureRelevant(cleaned, payload);
+  }
+
+  const summary = raw?.summary || {};
+  const recapParts = [];
+  if (Array.isArray(summary.notedSymptoms)) recapParts.push(...summary.notedSymptoms);
+  if (Array.isArray(summary.generalObservations)) recapParts.push(...summary.generalObservations.slice(0, 1));
+  const recap = recapParts.join(" ").trim() || "Summary unavailable.";
+
+  const patterns = sanitizeList([
+    ...(Array.isArray(summary.identifiedPatterns) ? summary.identifiedPatterns : []),
+    ...(Array.isArray(summary.potentialCorrelations) ? summary.potentialCorrelations : [])
+  ]);
+
+  const suggestions = sanitizeList([
+    ...(Array.isArray(summary.generalObservations) ? summary.generalObservations : []),
+    ...(Array.isArray(raw?.warnings) ? raw.warnings : [])
+  ]);
+  if (suggestions.length === 0) {
+    suggestions.push(
+      "Consider tracking when symptoms start and any possible triggers.",
+      "If anything feels urgent or severe, seek medical care."
+    );
+  }
+
+  const disclaimer = [raw?.disclaimer, raw?.emergencyGuidance]
+    .filter(Boolean)
+    .join(" ")
+    .trim() ||
+    "This app provides informational pattern-based insights only and does not provide medical diagnosis. If you think this may be an emergency, call your local emergency number.";
+
+  return ensureRelevant({
+    recap,
+    patterns,
+    suggestions,
+    redFlags: [],
+    urgency: sanitizeUrgency(raw?.urgency),
+    questionsForClinician: sanitizeList([
+      "What additional details should I track?",
+      "Are there any warning signs I should watch for?"
+    ]),
+    disclaimer
+  }, payload);
+}
+
+function ensureRelevant(response, payload) {
+  const fallback = buildFallbackFromPayload(payload);
+  if (!fallback) return response;
+
+  const symptomNames = Array.from(
+    new Set((payload?.entries || []).map((entry) => entry.symptomType).filter(Boolean))
+  );
+  const question = payload?.userQuestion ? String(payload.userQuestion).trim() : "";
+  const recap = response?.recap || "";
+  const recapLower = recap.toLowerCase();
+  const mentionsSymptom =
+    symptomNames.length === 0 ||
+    symptomNames.some((name) => recapLower.includes(String(name).toLowerCase()));
+  const mentionsQuestion = question.length === 0 ? true : containsQuestionKeyword(recapLower, question);
+  const isSummaryUnavailable = /summary unavailable|summary not available|unable to summarize/i.test(recapLower);
+
+  if (!mentionsSymptom || !mentionsQuestion || recap.trim().length < 8 || isSummaryUnavailable) {
+    response.recap = fallback.recap;
+  }
+  if (!Array.isArray(response.suggestions) || response.suggestions.length === 0) {
+    response.suggestions = fallback.suggestions;
+  }
+  if (!Array.isArray(response.questionsForClinician) || response.questionsForClinician.length === 0) {
+    response.questionsForClinician = fallback.questionsForClinician;
+  }
+  if (!response.disclaimer || response.disclaimer.length < 20) {
+    response.disclaimer = fallback.disclaimer;
+  }
+  if (response.disclaimer && !/emergency number/i.test(response.disclaimer)) {
+    response.disclaimer = response.disclaimer.trim() + " If you think this may be an emergency, call your local emergency number.";
+  }
+  response.redFlags = mergeRedFlags(fallback.redFlags, sanitizeRedFlags(response.redFlags));
+  response.urgency = applyUrgencyFloor(sanitizeUrgency(response.urgency) || fallback.urgency, fallback.redFlags);
+  if (!Array.isArray(response.patterns) || response.patterns.length === 0) {
+    response.patterns = fallback.patterns ?? [];
+  } else {
+    response.patterns = sanitizeList(response.patterns);
+  }
+  response.questionsForClinician = sanitizeList(response.questionsForClinician);
+  response.suggestions = sanitizeList(response.suggestions);
+  return response;
+}
+
+function containsQuestionKeyword(recapLower, question) {
+  const cleaned = question.toLowerCase().replace(/[^a-z0-9\s]/g, " ");
+  const keywords = cleaned.split(/\s+/).filter((word) => word.length >= 4);
+  if (keywords.length === 0) {
+    return recapLower.includes(cleaned.trim());
+  }
+  return keywords.some((word) => recapLower.includes(word));
+}
+
+function sanitizeList(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .map((item) => (typeof item === "string" ? item.trim() : ""))
+    .filter((item) => item.length > 0)
+    .slice(0, 8);
+}
+
+function buildFallbackFromPayload(payload) {
+  if (!payload || !Array.isArray(payload.entries)) return null;
+  const entries = payload.entries;
+  const timeframe = payload.timeframe;
+  const medicalContext = payload.medicalContext || null;
+  const uniqueSymptoms = Array.from(
+    new Set(entries.map((entry) => entry.symptomType).filter(Boolean))
+  );
+  const triggers = Array.from(
+    new Set(entries.flatMap((entry) => entry.triggers || []).filter(Boolean))
+  );
+  const recapParts = [];
+  if (payload?.userQuestion) {
+    const cleaned = String(payload.userQuestion).split("\n")[0].slice(0, 140);
+    recapParts.push(`You asked: ${cleaned}.`);
+  }
+  if (uniqueSymptoms.length > 0) {
+    recapParts.push(`You logged: ${uniqueSymptoms.join(", ")}.`);
+  }
+  const stats = payload.computedStats || computeSymptomStats(entries, { timezone: payload.timezone });
+  if (stats.averageSeverity !== null) {
+    recapParts.push(`Average severity: ${stats.averageSeverity.toFixed(1)}/10.`);
+  }
+  if (timeframe?.start && timeframe?.end) {
+    recapParts.push(`Timeframe: ${timeframe.start} to ${timeframe.end}.`);
+  }
+  if (medicalContext) {
+    const contextualSignals = [
+      medicalContext.chronicConditions,
+      medicalContext.currentMedications,
+      medicalContext.allergies
+    ]
+      .filter(Boolean)
+      .map((value) => String(value).trim())
+      .filter((value) => value.length > 0);
+    if (contextualSignals.length > 0) {
+      recapParts.push("I also considered your medical profile context while interpreting these logs.");
+    }
+  }
+  if (recapParts.length === 0) {
+    recapParts.push(`You asked: ${payload.userQuestion || "Analyze my logs."}`);
+  }
+
+  const patterns = [];
+  if (uniqueSymptoms.length > 0) {
+    patterns.push(`Symptoms logged: ${uniqueSymptoms.join(", ")}.`);
+  }
+  if (triggers.length > 0) {
+    patterns.push(`Possible triggers noted: ${triggers.join(", ")}.`);
+  }
+  patterns.push(...buildStatsPatterns(stats));
+  if (medicalContext?.recentHealthHistory?.length) {
+    patterns.push(`Recent health history entries were considered (${medicalContext.recentHealthHistory.length} records).`);
+  }
+
+  const suggestions = [
+    "Continue logging when symptoms start, how long they last, and any possible triggers.",
+    "If symptoms feel severe or rapidly worsening, consider urgent medical care."
+  ];
+  if (medicalContext?.currentMedications) {
+    suggestions.push("Because medications are listed in your profile, ask a pharmacist to review for possible interaction or side-effect overlap.");
+  }
+
+  const redFlags = sortRedFlags([
+    ...evaluateRedFlagRules(entries),
+    ...checkMedicationSafety(medicationSafetyInputFromPayload(payload)).flags
+  ]);
+  return {
+    recap: recapParts.join(" "),
+    patterns,
+    suggestions,
+    redFlags,
+    urgency: applyUrgencyFloor({ ...DEFAULT_FALLBACK_URGENCY }, redFlags),
+    questionsForClinician: [
+      "What additional details should I track about these symptoms?",
+      "Are there warning signs specific to this symptom I should watch for?"
+    ],
+    disclaimer:
+      "This app provides informational pattern-based insights only and does not provide medical diagnosis. If you think this may be an emergency, call your local emergency number."
+  };
+}
+
+const OUTPUT_GUARD_ACTIONS = new Set(["rewrite", "drop"]);
+const outputGuardRuleset = loadOutputGuardRules(OUTPUT_GUARD_RULES_PATH);
+
+function compileGuardPattern(source, ruleId) {
+  try {
+    return new RegExp(source, "iu");
+  } catch (err) {
+    console.warn(`Skipping invalid output guard pattern in rule ${ruleId}:`, err?.message || err);
+    return null;
+  }
+}
+
+function loadOutputGuardRules(filePath) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const rules = [];
+    for (const rule of Array.isArray(parsed.rules) ? parsed.rules : []) {
+      const valid =
+        rule &&
+        typeof rule.id === "string" &&
+        OUTPUT_GUARD_ACTIONS.has(rule.action) &&
+        (rule.action !== "rewrite" || typeof rule.replacement === "string");
+      const patterns = valid
+        ? [
+            ...(Array.isArray(rule.patterns) ? rule.patterns : []).map(String),
+            ...(Array.isArray(rule.phrases) ? rule.phrases : []).map((phrase) => `\\b${escapeRegExp(String(phrase))}\\b`)
+          ]
+            .map((source) => compileGuardPattern(source, rule.id))
+            .filter(Boolean)
+        : [];
+      if (!patterns.length) {
+        console.warn(`Skipping invalid output guard rule: ${rule?.id || JSON.stringify(rule)}`);
+        continue;
+      }
+      rules.push({
+        id: rule.id,
+        category: typeof rule.category === "string" ? rule.category : "other",
+        action: rule.action,
+        replacement: rule.replacement,
+        patterns,
+        unless: rule.unless ? compileGuardPattern(String(rule.unless), rule.id) : null
+      });
+    }
+    console.log(`Loaded ${rules.length} output guard rules (version ${parsed.version || "unversioned"}).`);
+    return { version: String(parsed.version || "unversioned"), rules };
+  } catch (err) {
+    console.warn(`Failed to load output guard rules from ${filePath}:`, err?.message || err);
+    return { version: "unavailable", rules: [] };
+  }
+}
+
+// Returns the rewritten text, or null when a drop rule matched.
+function guardText(text, field, hits) {
+  let guarded = text;
+  for (const rule of outputGuardRuleset.rules) {
+    const matched = rule.patterns.filter((pattern) => pattern.test(guarded));
+    if (!matched.length || rule.unless?.test(guarded)) continue;
+    hits.push({ ruleId: rule.id, category: rule.category, field, action: rule.action, excerpt: guarded.slice(0, 200) });
+    if (rule.action === "drop") return null;
+    for (const pattern of matched) {
+      guarded = guarded.replace(new RegExp(pattern.source, `${pattern.flags}g`), rule.replacement);
+    }
+    guarded = guarded.charAt(0).toUpperCase() + guarded.slice(1);
+  }
+  return guarded;
+}
+
+// Checks model text only: the recap sentence by sentence, patterns and suggestions item by item.
+// A field the guard empties is refilled from the local fallback.
+function applyOutputGuard(response, payload) {
+  const hits = [];
+  if (!outputGuardRuleset.rules.length) return { response, hits };
+  const guardList = (list, field) =>
+    (Array.isArray(list) ? list : []).map((item) => guardText(String(item), field, hits)).filter(Boolean);
+  const recap = guardList(String(response.recap || "").split(/(?<=[.!?])\s+/), "recap").join(" ");
+  const patterns = guardList(response.patterns, "patterns");
+  const suggestions = guardList(response.suggestions, "suggestions");
+  if (!hits.length) return { response, hits };
+  const fallback = fallbackResponse("", payload);
+  return {
+    response: {
+      ...response,
+      recap: recap || fallback.recap,
+      patterns: patterns.length ? patterns : fallback.patterns,
+      suggestions: suggestions.length ? suggestions : fallback.suggestions
+    },
+    hits
+  };
+}
+
+const RED_FLAG_SEVERITY_RANK = { moderate: 1, high: 2, critical: 3 };
+const RED_FLAG_SEVERITY_URGENCY = { moderate: "pharmacist", high: "clinician", critical: "emergency" };
+const DEFAULT_FALLBACK_URGENCY = {
+  level: "monitor",
+  rationale: "No local safety rule matched. Keep tracking your symptoms and seek care if they change or worsen."
+};
+const RED_FLAG_RULE_TYPES = new Set(["keyword", "severity", "duration", "escalation"]);
+const redFlagRuleset = loadRedFlagRules(RED_FLAG_RULES_PATH);
+
+function loadRedFlagRules(filePath) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const rules = (Array.isArray(parsed.rules) ? parsed.rules : []).filter((rule) => {
+      const valid =
+        rule &&
+        typeof rule.id === "string" &&
+        RED_FLAG_RULE_TYPES.has(rule.type) &&
+        typeof rule.title === "string" &&
+        typeof rule.whyItMatters === "string" &&
+        typeof rule.action === "string";
+      if (!valid) {
+        console.warn(`Skipping invalid red-flag rule: ${rule?.id || JSON.stringify(rule)}`);
+      }
+      return valid;
+    });
+    console.log(`Loaded ${rules.length} red-flag rules (version ${parsed.version || "unversioned"}).`);
+    return { version: String(parsed.version || "unversioned"), rules };
+  } catch (err) {
+    console.warn(`Failed to load red-flag rules from ${filePath}:`, err?.message || err);
+    return { version: "unavailable", rules: [] };
+  }
+}
+
+function entrySearchText(entry) {
+  return [entry.symptomType, entry.notes, ...(Array.isArray(entry.triggers) ? entry.triggers : [])]
+    .filter((value) => typeof value === "string")
+    .join(" ")
+    .toLowerCase();
+}
+
+function severityOf(entry) {
+  const value = Number(entry?.severity);
+  return Number.isFinite(value) ? value : null;
+}
+
+function meetsMinSeverity(entry, rule) {
+  if (rule.minSeverity === undefined) return true;
+  const severity = severityOf(entry);
+  return severity !== null && severity >= rule.minSeverity;
+}
+
+function matchesSymptomFilter(entry, rule) {
+  if (!Array.isArray(rule.symptoms) || rule.symptoms.length === 0) return true;
+  const symptom = String(entry.symptomType || "").toLowerCase();
+  return rule.symptoms.some((name) => symptom.includes(String(name).toLowerCase()));
+}
+
+function findEscalatingSymptoms(entries, rule) {
+  const withinMs = (Number(rule.withinHours) || 72) * 60 * 60 * 1000;
+  const bySymptom = new Map();
+  for (const entry of entries) {
+    const onsetMs = Date.parse(entry.onset || "");
+    const severity = severityOf(entry);
+    if (!entry.symptomType || !Number.isFinite(onsetMs) || severity === null) continue;
+    const key = String(entry.symptomType).toLowerCase();
+    if (!bySymptom.has(key)) bySymptom.set(key, { name: entry.symptomType, points: [] });
+    bySymptom.get(key).points.push({ onsetMs, severity });
+  }
+
+  const escalating = [];
+  for (const { name, points } of bySymptom.values()) {
+    points.sort((left, right) => left.onsetMs - right.onsetMs);
+    const found = points.some((later, index) =>
+      points
+        .slice(0, index)
+        .some((earlier) => later.onsetMs - earlier.onsetMs <= withinMs && later.severity - earlier.severity >= rule.minIncrease)
+    );
+    if (found) escalating.push(name);
+  }
+  return escalating;
+}
+
+function matchRedFlagRule(rule, entries) {
+  if (rule.type === "escalation") {
+    return findEscalatingSymptoms(entries.filter((entry) => matchesSymptomFilter(entry, rule)), rule);
+  }
+  const matched = entries.filter((entry) => {
+    if (!matchesSymptomFilter(entry, rule) || !meetsMinSeverity(entry, rule)) return false;
+    if (rule.type === "keyword") {
+      const text = entrySearchText(entry);
+      return (rule.keywords || []).some((keyword) => text.includes(String(keyword).toLowerCase()));
+    }
+    if (rule.type === "duration") {
+      const duration = Number(entry.durationMinutes);
+      return Number.isFinite(duration) && duration >= rule.minDurationMinutes;
+    }
+    return rule.type === "severity";
+  });
+  return matched.map((entry) => entry.symptomType || "symptom");
+}
+
+function evaluateRedFlagRules(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) return [];
+  const flags = [];
+  for (const rule of redFlagRuleset.rules) {
+    const symptoms = Array.from(new Set(matchRedFlagRule(rule, entries)));
+    if (symptoms.length === 0) continue;
+    const symptomLabel = symptoms.slice(0, 3).join(", ");
+    flags.push({
+      title: rule.title.replace("{symptoms}", symptomLabel),
+      whyItMatters: rule.whyItMatters.replace("{symptoms}", symptomLabel),
+      action: rule.action.replace("{symptoms}", symptomLabel),
+      severity: rule.severity || "high",
+      ...(AI_URGENCY_LEVELS.includes(rule.urgency) ? { urgency: rule.urgency } : {}),
+      ruleId: rule.id,
+      rulesVersion: redFlagRuleset.version
+    });
+  }
+  return sortRedFlags(flags);
+}
+
+function sortRedFlags(flags) {
+  return [...flags].sort(
+    (left, right) => (RED_FLAG_SEVERITY_RANK[right.severity] || 0) - (RED_FLAG_SEVERITY_RANK[left.severity] || 0)
+  );
+}
+
+function urgencyRank(level) {
+  return AI_URGENCY_LEVELS.indexOf(level);
+}
+
+function sanitizeUrgency(value) {
+  const level = String((typeof value === "string" ? value : value?.level) || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, "-");
+  if (!AI_URGENCY_LEVELS.includes(level)) return null;
+  const rationale = typeof value?.rationale === "string" ? value.rationale.trim() : "";
+  return { level, rationale: rationale || "Based on the symptoms and history shared." };
+}
+
+function flagUrgency(flag) {
+  return AI_URGENCY_LEVELS.includes(flag?.urgency) ? flag.urgency : RED_FLAG_SEVERITY_URGENCY[flag?.severity] || null;
+}
+
+// Local rule and medication findings set a floor; a model may raise urgency above it but never lower it.
+function applyUrgencyFloor(urgency, localFlags) {
+  const ranked = (localFlags || []).map((flag) => ({ flag, level: flagUrgency(flag) })).filter(({ level }) => level);
+  const floor = ranked.reduce(
+    (highest, { level }) => (urgencyRank(level) > urgencyRank(highest) ? level : highest),
+    AI_URGENCY_LEVELS[0]
+  );
+  if (urgency && urgencyRank(urgency.level) >= urgencyRank(floor)) return urgency;
+  const reasons = ranked
+    .filter(({ level }) => level === floor)
+    .map(({ flag }) => flag.title)
+    .slice(0, 3);
+  return {
+    level: floor,
+    rationale: reasons.length ? `Raised to ${floor} by local safety checks: ${reasons.join("; ")}.` : DEFAULT_FALLBACK_URGENCY.rationale
+  };
+}
+
+const INTERACTION_DATASET_CHECK_MS = 30 * 1000;
+let interactionDataset = { version: "unavailable", drugs: [], interactions: [], allergyConflicts: [], mtimeMs: 0 };
+let interactionDatasetCheckedAt = 0;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function loadInteractionDataset(filePath) {
+  const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const drugs = Object.entries(parsed.drugs || {}).map(([name, info]) => {
+    const terms = [name, ...(Array.isArray(info.aliases) ? info.aliases : [])].map((term) => term.toLowerCase());
+    return {
+      name,
+      classes: Array.isArray(info.classes) ? info.classes : [],
+      pattern: new RegExp(`(^|[^a-z0-9])(${terms.map(escapeRegExp).join("|")})(?=$|[^a-z0-9])`, "i")
+    };
+  });
+  return {
+    version: String(parsed.version || "unversioned"),
+    drugs,
+    interactions: Array.isArray(parsed.interactions) ? parsed.interactions : [],
+    allergyConflicts: Array.isArray(parsed.allergyConflicts) ? parsed.allergyConflicts : []
+  };
+}
+
+// Reloads when the file on disk changes, so the table can be updated without a restart.
+// The file is checked at most every INTERACTION_DATASET_CHECK_MS rather than on every lookup.
+function getInteractionDataset() {
+  const now = Date.now();
+  if (now - interactionDatasetCheckedAt < INTERACTION_DATASET_CHECK_MS) {
+    return interactionDataset;
   }
+  interactionDatasetCheckedAt = now;
+  try {
+    const { mtimeMs } = fs.statSync(DRUG_INTERACTIONS_PATH);
+    if (mtimeMs !== interactionDataset.mtimeMs) {
+      interactionDataset = { ...loadInteractionDataset(DRUG_INTERACTIONS_PATH), mtimeMs };
+      console.log(
+        `Loaded drug interaction table version ${interactionDataset.version} (${interactionDataset.drugs.length} drugs, ${interactionDataset.interactions.length} interactions).`
+      );
+    }
+  } catch (err) {
+    if (interactionDataset.mtimeMs !== -1) {
+      console.warn(`Failed to load drug interactions from ${DRUG_INTERACTIONS_PATH}:`, err?.message || err);
+      interactionDataset = { ...interactionDataset, mtimeMs: -1 };
+    }
+  }
+  return interactionDataset;
+}
 
-  const summary = raw?.summary || {};
-  const recapParts = [];
-  if (Array.isArray(summary.notedSymptoms)) recapParts.push(...summary.notedSymptoms);
-  if (Array.isArray(summary.generalObservations)) recapParts.push(...summary.generalObservations.slice(0, 1));
-  const recap = recapParts.join(" ").trim() || "Summary unavailable.";
+function flattenText(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.flatMap(flattenText);
+  if (typeof value === "object") return flattenText(value.name || value.title || value.value || "");
+  return [String(value)];
+}
 
-  const patterns = sanitizeList([
-    ...(Array.isArray(summary.identifiedPatterns) ? summary.identifiedPatterns : []),
-    ...(Array.isArray(summary.potentialCorrelations) ? summary.potentialCorrelations : [])
-  ]);
+function findDrugsInText(texts, dataset) {
+  const found = new Map();
+  for (const text of texts) {
+    for (const drug of dataset.drugs) {
+      if (!found.has(drug.name) && drug.pattern.test(text)) {
+        found.set(drug.name, drug);
+      }
+    }
+  }
+  return [...found.values()];
+}
 
-  const suggestions = sanitizeList([
-    ...(Array.isArray(summary.generalObservations) ? summary.generalObservations : []),
-    ...(Array.isArray(raw?.warnings) ? raw.warnings : [])
-  ]);
-  if (suggestions.length === 0) {
-    suggestions.push(
-      "Consider tracking when symptoms start and any possible triggers.",
-      "If anything feels urgent or severe, seek medical care."
+function drugMatchesTerm(drug, term) {
+  return drug.name === term || drug.classes.includes(term);
+}
+
+function fillDrugTemplate(template, drugNames) {
+  return template.replace("{drugs}", drugNames.join(" + "));
+}
+
+function checkMedicationSafety({ medicationTexts = [], allergyTexts = [], drinksAlcohol = false }) {
+  const dataset = getInteractionDataset();
+  const drugs = findDrugsInText(medicationTexts, dataset);
+  if (drinksAlcohol && !drugs.some((drug) => drug.name === "alcohol")) {
+    const alcohol = dataset.drugs.find((drug) => drug.name === "alcohol");
+    if (alcohol) drugs.push(alcohol);
+  }
+
+  const flags = [];
+  const matchedPairs = new Set();
+  for (const rule of dataset.interactions) {
+    const [first, second] = rule.between || [];
+    for (const left of drugs) {
+      for (const right of drugs) {
+        if (left === right || !drugMatchesTerm(left, first) || !drugMatchesTerm(right, second)) continue;
+        const pairKey = [left.name, right.name].sort().join("|");
+        if (matchedPairs.has(pairKey)) continue;
+        matchedPairs.add(pairKey);
+        const names = [left.name, right.name];
+        flags.push({
+          title: fillDrugTemplate(rule.title, names),
+          whyItMatters: fillDrugTemplate(rule.whyItMatters, names),
+          action: fillDrugTemplate(rule.action, names),
+          severity: rule.severity || "moderate",
+          urgency: AI_URGENCY_LEVELS.includes(rule.urgency) ? rule.urgency : "pharmacist",
+          interactionId: rule.id,
+          drugs: names,
+          datasetVersion: dataset.version
+        });
+      }
+    }
+  }
+
+  const allergyText = allergyTexts.join(" ").toLowerCase();
+  if (allergyText.trim()) {
+    for (const conflict of dataset.allergyConflicts) {
+      const allergic = (conflict.allergyTerms || []).some((term) => allergyText.includes(String(term).toLowerCase()));
+      if (!allergic) continue;
+      const names = drugs
+        .filter((drug) => (conflict.drugClasses || []).some((drugClass) => drug.classes.includes(drugClass)))
+        .map((drug) => drug.name);
+      if (!names.length) continue;
+      flags.push({
+        title: fillDrugTemplate(conflict.title, names),
+        whyItMatters: fillDrugTemplate(conflict.whyItMatters, names),
+        action: fillDrugTemplate(conflict.action, names),
+        severity: conflict.severity || "high",
+        urgency: AI_URGENCY_LEVELS.includes(conflict.urgency) ? conflict.urgency : "pharmacist",
+        interactionId: conflict.id,
+        drugs: names,
+        datasetVersion: dataset.version
+      });
+    }
+  }
+
+  return {
+    medications: drugs.filter((drug) => drug.name !== "alcohol").map((drug) => drug.name),
+    flags: sortRedFlags(flags),
+    datasetVersion: dataset.version
+  };
+}
+
+function medicationSafetyInputFromPayload(payload) {
+  const entries = Array.isArray(payload?.entries) ? payload.entries : [];
+  return {
+    medicationTexts: [
+      ...entries.flatMap((entry) => flattenText(entry.medsTaken)),
+      ...flattenText(payload?.medicalContext?.currentMedications)
+    ],
+    allergyTexts: flattenText(payload?.medicalContext?.allergies),
+    drinksAlcohol: entries.some((entry) => Number(entry.alcoholUnits) > 0)
+  };
+}
+
+// Findings older than MEDICATION_SAFETY_TTL_MS no longer count, whether or not the doc has been purged yet.
+function liveMedicationSafety(data, now = Date.now()) {
+  const cutoff = now - MEDICATION_SAFETY_TTL_MS;
+  const medicationSeenAt = data?.medicationSeenAt || {};
+  return {
+    medications: (data?.medications || []).filter((name) => (medicationSeenAt[name] || 0) > cutoff),
+    medicationSeenAt,
+    flags: (data?.flags || []).filter((flag) => (flag.lastSeenAt || 0) > cutoff)
+  };
+}
+
+// A request may mention only some of a user's medications, so medicines accumulate per user and
+// are checked together; each medicine, and each flag it is part of, ages out on its own.
+async function recordMedicationSafety(uid, payload) {
+  try {
+    const input = medicationSafetyInputFromPayload(payload);
+    const current = checkMedicationSafety(input);
+    if (!current.medications.length) return;
+    const ref = firestore.collection(MEDICATION_SAFETY_COLLECTION).doc(uid);
+    await firestore.runTransaction(async (tx) => {
+      const snapshot = await tx.get(ref);
+      const now = Date.now();
+      const previous = liveMedicationSafety(snapshot.exists ? snapshot.data() : null, now);
+      const medicationSeenAt = {};
+      previous.medications.forEach((name) => {
+        medicationSeenAt[name] = previous.medicationSeenAt[name];
+      });
+      current.medications.forEach((name) => {
+        medicationSeenAt[name] = now;
+      });
+      const check = checkMedicationSafety({
+        ...input,
+        medicationTexts: [...input.medicationTexts, ...previous.medications]
+      });
+      const flags = check.flags.map((flag) => ({
+        ...flag,
+        lastSeenAt: Math.min(...flag.drugs.map((name) => medicationSeenAt[name] ?? now))
+      }));
+      tx.set(ref, {
+        userId: uid,
+        medications: Object.keys(medicationSeenAt),
+        medicationSeenAt,
+        flags: sortRedFlags(mergeRedFlags(flags, previous.flags)),
+        datasetVersion: check.datasetVersion,
+        expiresAt: admin.firestore.Timestamp.fromMillis(now + MEDICATION_SAFETY_TTL_MS),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+  } catch (err) {
+    console.warn("Failed to record medication safety findings:", err?.message || err);
+  }
+}
+
+function needsRedFlagReview(response) {
+  const threshold = RED_FLAG_SEVERITY_RANK[AI_REVIEW_MIN_RED_FLAG_SEVERITY] || RED_FLAG_SEVERITY_RANK.high;
+  return (response?.redFlags || []).some((flag) => (RED_FLAG_SEVERITY_RANK[flag.severity] || 0) >= threshold);
+}
+
+// Keeps enough of each AI answer to check feedback ownership and to show it in the review queue.
+// Callers await it before answering, so feedback sent right after an answer finds the doc.
+async function recordAIResponse(
+  user,
+  { responseId, endpoint, provider, payload, response, conversationId = null, reviewReasons = [] }
+) {
+  try {
+    const reasons = [...(needsRedFlagReview(response) ? ["red_flag"] : []), ...reviewReasons];
+    const flagged = reasons.length > 0;
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    await firestore.collection(AI_RESPONSES_COLLECTION).doc(responseId).set({
+      id: responseId,
+      userId: user.uid,
+      userDisplayName: user.callerName || "",
+      userEmail: user.userEmail || "",
+      endpoint,
+      provider,
+      conversationId,
+      userQuestion: payload?.userQuestion || "",
+      symptoms: Array.from(new Set((payload?.entries || []).map((entry) => entry.symptomType).filter(Boolean))),
+      response,
+      feedback: null,
+      reviewStatus: flagged ? "pending" : null,
+      reviewReasons: reasons,
+      createdAt: now,
+      updatedAt: now
+    });
+  } catch (err) {
+    console.warn("Failed to record AI response:", err?.message || err);
+  }
+}
+
+// ai_requests only holds redacted text, so the free-text comment goes through the same PHI redaction as payloads.
+async function recordAIFeedback(user, responseId, feedback) {
+  try {
+    const pool = getPool();
+    if (!pool) return;
+    await ensureDb();
+    const comment = redactText(feedback.comment, createRedactionVault(), {
+      level: PHI_REDACTION_LEVEL,
+      knownNames: knownNamesForUser(user)
+    });
+    await pool.query(
+      `UPDATE ai_requests
+       SET feedback_rating = $2, feedback_comment = $3, feedback_at = NOW()
+       WHERE response_id = $1;`,
+      [responseId, feedback.rating, comment || null]
     );
+  } catch (err) {
+    console.warn("Failed to log AI feedback:", err?.message || err);
   }
+}
 
-  const disclaimer = [raw?.disclaimer, raw?.emergencyGuidance]
+// Replies go into the user's most recent pharmacist chat, or a new one if they have never opened one.
+// Like a console reply, it claims an unassigned chat and is refused while another pharmacist holds it.
+async function messageUserAboutReview(review, content, pharmacist) {
+  const snapshot = await firestore.collection("pharmacist_sessions").where("userId", "==", review.userId).get();
+  const latest = snapshot.docs
+    .map((doc) => ({ ref: doc.ref, updatedAt: doc.data()?.updatedAt?.toMillis?.() || 0 }))
+    .sort((left, right) => right.updatedAt - left.updatedAt)[0];
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  let sessionRef = latest?.ref;
+  if (!sessionRef) {
+    sessionRef = firestore.collection("pharmacist_sessions").doc();
+    await sessionRef.set({
+      id: sessionRef.id,
+      userId: review.userId,
+      userDisplayName: review.userDisplayName || "",
+      userEmail: review.userEmail || "",
+      origin: "ai_review",
+      handoff: {
+        userMessage: String(review.userQuestion || "Follow-up on an AI answer").slice(0, 500),
+        summarizedLogs: String(review.response?.recap || "").slice(0, 4000),
+        attachedRange: null
+      },
+      statusText: "Pharmacist replied",
+      queuePosition: null,
+      ...assignmentFields(pharmacist),
+      createdAt: now,
+      updatedAt: now
+    });
+  } else {
+    await updateSessionAssignment(sessionRef.id, async (session, tx) => {
+      if (!(await claimableBy(session, pharmacist, tx))) {
+        const holder = session.assignedToName || session.assignedTo;
+        throw assignmentConflict(`${holder} is handling this chat. Ask them to transfer it first.`, session.assignedTo);
+      }
+      return {
+        statusText: "Pharmacist replied",
+        priority: false,
+        ...(session.assignedTo === pharmacist.username ? {} : assignmentFields(pharmacist))
+      };
+    });
+  }
+  const messageRef = sessionRef.collection("messages").doc();
+  await messageRef.set({
+    id: messageRef.id,
+    role: "pharmacist",
+    content,
+    sentBy: pharmacist.username,
+    aiResponseId: review.id,
+    createdAt: now
+  });
+  return sessionRef.id;
+}
+
+function needsEscalation(response) {
+  return needsRedFlagReview(response) || urgencyRank(response?.urgency?.level) >= urgencyRank(AI_ESCALATION_MIN_URGENCY);
+}
+
+function summarizeLogsForHandoff(payload, response) {
+  const lines = sortEntriesByOnset(payload?.entries || [])
+    .slice(-20)
+    .map((entry) =>
+      [
+        entry.onset ? String(entry.onset).slice(0, 16).replace("T", " ") : "undated",
+        `${entry.symptomType} ${entry.severity}/10`,
+        entry.notes ? `- ${String(entry.notes).slice(0, 160)}` : ""
+      ]
+        .filter(Boolean)
+        .join(" ")
+    );
+  return [response?.recap || "", lines.length ? `Recent logs:\n${lines.join("\n")}` : ""]
     .filter(Boolean)
-    .join(" ")
-    .trim() ||
-    "This app provides informational pattern-based insights only and does not provide medical diagnosis. If you think this may be an emergency, call your local emergency number.";
+    .join("\n\n")
+    .slice(0, 4000);
+}
 
-  return ensureRelevant({
-    recap,
-    patterns,
-    suggestions,
-    redFlags: [],
-    questionsForClinician: sanitizeList([
-      "What additional details should I track?",
-      "Are there any warning signs I should watch for?"
-    ]),
-    disclaimer
-  }, payload);
+// Opens (or refreshes) a priority pharmacist chat carrying the AI answer as handoff context.
+// A user keeps at most one priority session; it stops being priority once a pharmacist replies. The lookup and the
+// writes share a transaction so two concurrent escalations cannot both open one.
+async function escalateToPharmacist(user, { payload, response, endpoint }) {
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const escalation = {
+    responseId: response.responseId,
+    endpoint,
+    urgency: response.urgency || null,
+    redFlags: (response.redFlags || []).map(({ title, severity, action }) => ({ title, severity: severity || null, action })),
+    consentedAt: new Date().toISOString()
+  };
+  const handoff = {
+    userMessage: String(payload.userQuestion || "AI triage escalation").slice(0, 500),
+    summarizedLogs: summarizeLogsForHandoff(payload, response),
+    attachedRange: payload.timeframe || null
+  };
+  const flagTitles = escalation.redFlags.map((flag) => flag.title).slice(0, 5);
+  const query = firestore.collection("pharmacist_sessions").where("userId", "==", user.uid);
+  return firestore.runTransaction(async (tx) => {
+    const snapshot = await tx.get(query);
+    const open = snapshot.docs.find((doc) => doc.data()?.priority === true);
+    const sessionRef = open?.ref || firestore.collection("pharmacist_sessions").doc();
+    if (open) {
+      tx.update(sessionRef, { handoff, escalation, statusText: "Escalated by AI triage", updatedAt: now });
+    } else {
+      tx.set(sessionRef, {
+        id: sessionRef.id,
+        userId: user.uid,
+        userDisplayName: user.callerName || "",
+        userEmail: user.userEmail || "",
+        origin: "ai_escalation",
+        priority: true,
+        escalation,
+        handoff,
+        statusText: "Escalated by AI triage",
+        queuePosition: null,
+        createdAt: now,
+        updatedAt: now
+      });
+    }
+    const messageRef = sessionRef.collection("messages").doc();
+    tx.set(messageRef, {
+      id: messageRef.id,
+      role: "system",
+      content: [
+        `AI triage asked a pharmacist to review this (urgency: ${escalation.urgency?.level || "unknown"}).`,
+        flagTitles.length ? `Red flags: ${flagTitles.join("; ")}.` : ""
+      ]
+        .filter(Boolean)
+        .join(" "),
+      aiResponseId: response.responseId,
+      createdAt: now
+    });
+    return { sessionId: sessionRef.id, created: !open };
+  });
+}
+
+async function resolveEscalation(user, body, { payload, response, endpoint }) {
+  if (!needsEscalation(response)) return null;
+  if (body?.escalationConsent !== true) return { recommended: true, sessionId: null };
+  try {
+    return { recommended: true, ...(await escalateToPharmacist(user, { payload, response, endpoint })) };
+  } catch (err) {
+    console.warn("Failed to escalate to a pharmacist:", err?.message || err);
+    return { recommended: true, sessionId: null, error: "Could not open a pharmacist chat. Please start one from the app." };
+  }
+}
+
+function sanitizeRedFlags(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((flag) => flag && typeof flag === "object")
+    .map((flag) => ({
+      ...flag,
+      title: typeof flag.title === "string" ? flag.title.trim() : "",
+      whyItMatters: typeof flag.whyItMatters === "string" ? flag.whyItMatters.trim() : "",
+      action: typeof flag.action === "string" ? flag.action.trim() : ""
+    }))
+    .filter((flag) => flag.title.length > 0);
+}
+
+// Local (deterministic) flags go first so they survive any downstream truncation.
+function mergeRedFlags(localFlags, modelFlags) {
+  const seen = new Set();
+  const merged = [];
+  for (const flag of [...(localFlags || []), ...(modelFlags || [])]) {
+    const key = flag.title.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    merged.push(flag);
+  }
+  return merged;
+}
+
+app.post("/ai/analyze", aiAnalyzeJsonParser, ensureFirebase, async (req, res) => {
+  let user;
+  let redacted;
+  let quota;
+  try {
+    user = await verifyFirebaseUserFromRequest(req);
+    const fieldErrors = validateAIRequestBody(req.body);
+    if (fieldErrors.length) {
+      return sendValidationErrors(res, fieldErrors);
+    }
+    const { images, fieldErrors: imageErrors } = prepareImageAttachments(req.body.request);
+    if (imageErrors.length) {
+      return sendValidationErrors(res, imageErrors);
+    }
+    quota = await consumeAIQuota(user);
+    setQuotaHeaders(res, quota);
+    if (quota.exceeded) {
+      return sendQuotaExceeded(res, quota);
+    }
+    const payload = buildUserPayload(req.body.request, images);
+    redacted = redactPayload(payload, [], { user });
+    const responseId = crypto.randomUUID();
+    const outcome = await generateWithFailover({
+      payload: redacted.payload,
+      history: redacted.history,
+      images,
+      mockScenario: req.get("x-mock-ai-scenario")
+    });
+    logAIRequest({
+      provider: outcome.provider || "fallback",
+      endpoint: "/ai/analyze",
+      payload: redacted.payload,
+      response: outcome.result,
+      success: Boolean(outcome.provider),
+      error: outcome.errorDetail,
+      uid: user.uid,
+      usage: outcome.usage,
+      responseId
+    });
+    if (!outcome.provider) {
+      await refundAIQuota(res, quota);
+    }
+    recordMedicationSafety(user.uid, payload);
+    const result = { ...restorePlaceholders(outcome.result, redacted.vault), responseId };
+    const escalation = await resolveEscalation(user, req.body, { payload, response: result, endpoint: "/ai/analyze" });
+    if (escalation) result.escalation = escalation;
+    await recordAIResponse(user, {
+      responseId,
+      endpoint: "/ai/analyze",
+      provider: outcome.provider || "fallback",
+      payload,
+      response: result
+    });
+    res.json(result);
+  } catch (error) {
+    await refundAIQuota(res, quota).catch(() => {});
+    logAIRequest({
+      provider: AI_PROVIDER_CHAIN[0],
+      endpoint: "/ai/analyze",
+      payload: redacted?.payload ?? null,
+      response: null,
+      success: false,
+      error: error.message || "Server error",
+      uid: user?.uid
+    });
+    res.status(error.statusCode || 500).json({ error: error.message || "Server error" });
+  }
+});
+
+const analysisJobQueue = [];
+const runningAnalysisJobs = new Set();
+
+function sortEntriesByOnset(entries) {
+  return entries
+    .map((entry, index) => ({ entry, index, time: Date.parse(entry.onset || "") }))
+    .sort(
+      (a, b) =>
+        (Number.isFinite(a.time) ? a.time : Infinity) - (Number.isFinite(b.time) ? b.time : Infinity) || a.index - b.index
+    )
+    .map(({ entry }) => entry);
+}
+
+// Consecutive periods of at most AI_JOB_CHUNK_ENTRIES entries, oldest first; undated entries land in the last period.
+function chunkEntriesByPeriod(entries) {
+  const sorted = sortEntriesByOnset(entries);
+  const periods = [];
+  for (let start = 0; start < sorted.length; start += AI_JOB_CHUNK_ENTRIES) {
+    const chunk = sorted.slice(start, start + AI_JOB_CHUNK_ENTRIES);
+    const onsets = chunk.map((entry) => Date.parse(entry.onset || "")).filter(Number.isFinite);
+    periods.push({
+      entries: chunk,
+      timeframe: onsets.length
+        ? { start: new Date(Math.min(...onsets)).toISOString(), end: new Date(Math.max(...onsets)).toISOString() }
+        : null
+    });
+  }
+  return periods;
+}
+
+function serializeAnalysisJob(doc) {
+  const job = serializeDoc(doc);
+  return {
+    jobId: job.id,
+    status: job.status,
+    progress: job.progress || null,
+    periods: job.periods || [],
+    result: job.result || null,
+    error: job.error || null,
+    createdAt: job.createdAt || null,
+    updatedAt: job.updatedAt || null,
+    completedAt: job.completedAt || null
+  };
+}
+
+// One model call per period plus the synthesis, or a single call when the history fits in one period.
+function analysisJobModelCalls(entryCount) {
+  const periods = Math.ceil(entryCount / AI_JOB_CHUNK_ENTRIES);
+  return periods > 1 ? periods + 1 : 1;
+}
+
+// The whole request is redacted once so period summaries and the synthesis share one set of placeholders.
+async function processAnalysisJob({ jobId, user, request, escalationConsent, mockScenario }) {
+  const ref = firestore.collection(AI_ANALYSIS_JOBS_COLLECTION).doc(jobId);
+  const payload = buildUserPayload(request);
+  const redacted = redactPayload(payload, [], { user });
+  const periods = chunkEntriesByPeriod(redacted.payload.entries);
+  const totalPeriods = periods.length > 1 ? periods.length : 0;
+  const summaries = [];
+  let answeredCalls = 0;
+
+  await ref.update({
+    status: "running",
+    progress: { stage: totalPeriods ? "periods" : "synthesis", completedPeriods: 0, totalPeriods },
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  if (totalPeriods) {
+    for (const [index, period] of periods.entries()) {
+      const periodPayload = {
+        ...redacted.payload,
+        period: { index: index + 1, of: totalPeriods },
+        timeframe: period.timeframe,
+        entries: period.entries,
+        computedStats: computeSymptomStats(period.entries, {
+          timezone: payload.timezone,
+          includeLifestyle: !payload.userPrefs?.dataMinimizationOn
+        })
+      };
+      const outcome = await generateWithFailover({ payload: periodPayload, history: [], mockScenario });
+      logAIRequest({
+        provider: outcome.provider || "fallback",
+        endpoint: "/ai/analyze/jobs",
+        payload: periodPayload,
+        response: outcome.result,
+        success: Boolean(outcome.provider),
+        error: outcome.errorDetail,
+        uid: user.uid,
+        usage: outcome.usage
+      });
+      if (outcome.provider) answeredCalls += 1;
+      summaries.push({
+        period: index + 1,
+        timeframe: period.timeframe,
+        entryCount: period.entries.length,
+        recap: outcome.result.recap,
+        patterns: outcome.result.patterns,
+        redFlags: outcome.result.redFlags.map((flag) => flag.title)
+      });
+      await ref.update({
+        progress: { stage: index + 1 < totalPeriods ? "periods" : "synthesis", completedPeriods: index + 1, totalPeriods },
+        periods: restorePlaceholders(summaries, redacted.vault),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+  }
+
+  const synthesisPayload = totalPeriods ? { ...redacted.payload, entries: [], periodSummaries: summaries } : redacted.payload;
+  const responseId = crypto.randomUUID();
+  const outcome = await generateWithFailover({ payload: synthesisPayload, history: [], mockScenario });
+  // Local red-flag rules and relevance checks run against every entry, not just what the synthesis saw.
+  const response = outcome.provider
+    ? ensureRelevant(outcome.result, redacted.payload)
+    : fallbackResponse(outcome.fallbackReason, redacted.payload);
+  logAIRequest({
+    provider: outcome.provider || "fallback",
+    endpoint: "/ai/analyze/jobs",
+    payload: synthesisPayload,
+    response,
+    success: Boolean(outcome.provider),
+    error: outcome.errorDetail,
+    uid: user.uid,
+    usage: outcome.usage,
+    responseId
+  });
+  if (outcome.provider) answeredCalls += 1;
+
+  recordMedicationSafety(user.uid, payload);
+  const result = { ...restorePlaceholders(response, redacted.vault), responseId };
+  const escalation = await resolveEscalation(user, { escalationConsent }, {
+    payload,
+    response: result,
+    endpoint: "/ai/analyze/jobs"
+  });
+  if (escalation) result.escalation = escalation;
+  await recordAIResponse(user, {
+    responseId,
+    endpoint: "/ai/analyze/jobs",
+    provider: outcome.provider || "fallback",
+    payload,
+    response: result
+  });
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  await ref.update({
+    status: "succeeded",
+    progress: { stage: "done", completedPeriods: totalPeriods, totalPeriods },
+    result,
+    responseId,
+    updatedAt: now,
+    completedAt: now
+  });
+  return { answeredCalls };
 }
 
-function ensureRelevant(response, payload) {
-  const fallback = buildFallbackFromPayload(payload);
-  if (!fallback) return response;
+// Queued and running jobs live only in the memory of the process that accepted them, so any still unfinished when
+// the server starts were lost to a restart. Their quota is refunded when it was charged in Postgres; in-memory
+// counts did not survive the restart anyway.
+async function failOrphanedAnalysisJobs() {
+  const snapshot = await firestore
+    .collection(AI_ANALYSIS_JOBS_COLLECTION)
+    .where("status", "in", ["queued", "running"])
+    .get();
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  for (let start = 0; start < snapshot.size; start += 500) {
+    const batch = firestore.batch();
+    snapshot.docs.slice(start, start + 500).forEach((doc) => {
+      batch.update(doc.ref, {
+        status: "failed",
+        error: "Analysis was interrupted. Please submit it again.",
+        updatedAt: now,
+        completedAt: now
+      });
+    });
+    await batch.commit();
+  }
+  for (const doc of snapshot.docs) {
+    const { userId, quotaCharge } = doc.data() || {};
+    if (quotaCharge?.store !== "postgres") continue;
+    await changeQuotaUsage(userId, quotaCharge.periodKeys, -quotaCharge.units, "postgres").catch((err) => {
+      console.warn("Failed to refund AI quota for an interrupted job:", err?.message || err);
+    });
+  }
+  if (snapshot.size) {
+    console.warn(`Marked ${snapshot.size} interrupted analysis job(s) as failed.`);
+  }
+}
+
+function drainAnalysisJobQueue() {
+  while (runningAnalysisJobs.size < AI_JOB_CONCURRENCY && analysisJobQueue.length) {
+    const job = analysisJobQueue.shift();
+    runningAnalysisJobs.add(job.jobId);
+    processAnalysisJob(job)
+      .then(({ answeredCalls }) => refundAIQuota(null, job.quota, job.quota.units - answeredCalls))
+      .catch(async (err) => {
+        console.warn("AI analysis job failed:", err?.message || err);
+        await refundAIQuota(null, job.quota).catch(() => {});
+        const now = admin.firestore.FieldValue.serverTimestamp();
+        await firestore
+          .collection(AI_ANALYSIS_JOBS_COLLECTION)
+          .doc(job.jobId)
+          .update({ status: "failed", error: "Analysis failed. Please try again.", updatedAt: now, completedAt: now })
+          .catch(() => {});
+      })
+      .finally(() => {
+        runningAnalysisJobs.delete(job.jobId);
+        drainAnalysisJobQueue();
+      });
+  }
+}
+
+app.post("/ai/analyze/jobs", ensureFirebase, async (req, res) => {
+  let quota;
+  try {
+    const user = await verifyFirebaseUserFromRequest(req);
+    const fieldErrors = validateAIRequestBody(req.body, {
+      maxEntries: AI_REQUEST_LIMITS.maxJobEntries,
+      attachments: false
+    });
+    if (fieldErrors.length) {
+      return sendValidationErrors(res, fieldErrors);
+    }
+    // Queued jobs hold their whole request in memory, so the queue is bounded.
+    if (analysisJobQueue.length >= AI_JOB_MAX_QUEUED) {
+      res.set("Retry-After", "60");
+      return res.status(503).json({ error: "Too many analyses are waiting to run. Please try again in a minute." });
+    }
+    const entryCount = req.body.request.entries?.length || 0;
+    quota = await consumeAIQuota(user, analysisJobModelCalls(entryCount));
+    setQuotaHeaders(res, quota);
+    if (quota.exceeded) {
+      return sendQuotaExceeded(res, quota);
+    }
+
+    const ref = firestore.collection(AI_ANALYSIS_JOBS_COLLECTION).doc();
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    await ref.set({
+      id: ref.id,
+      userId: user.uid,
+      status: "queued",
+      entryCount,
+      quotaCharge: { units: quota.units, periodKeys: quota.periodKeys, store: quota.store },
+      progress: { stage: "queued", completedPeriods: 0, totalPeriods: 0 },
+      periods: [],
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    });
+    analysisJobQueue.push({
+      jobId: ref.id,
+      user,
+      request: req.body.request,
+      escalationConsent: req.body.escalationConsent === true,
+      quota,
+      mockScenario: req.get("x-mock-ai-scenario")
+    });
+    drainAnalysisJobQueue();
+
+    res.location(`/ai/analyze/jobs/${ref.id}`);
+    return res.status(202).json({ jobId: ref.id, status: "queued", quotaUnits: quota.units });
+  } catch (err) {
+    await refundAIQuota(res, quota).catch(() => {});
+    return res.status(err?.statusCode || 500).json({ error: err?.message || "Unable to start analysis." });
+  }
+});
+
+app.get("/ai/analyze/jobs/:id", ensureFirebase, async (req, res) => {
+  try {
+    const user = await verifyFirebaseUserFromRequest(req);
+    const ref = firestore.collection(AI_ANALYSIS_JOBS_COLLECTION).doc(req.params.id);
+    let snapshot = await ref.get();
+    if (!snapshot.exists) {
+      return res.status(404).json({ error: "Analysis job not found." });
+    }
+    const job = snapshot.data() || {};
+    if (job.userId !== user.uid) {
+      return res.status(403).json({ error: "You cannot access this analysis job." });
+    }
 
-  const symptomNames = Array.from(
-    new Set((payload?.entries || []).map((entry) => entry.symptomType).filter(Boolean))
-  );
-  const question = payload?.userQuestion ? String(payload.userQuestion).trim() : "";
-  const recap = response?.recap || "";
-  const recapLower = recap.toLowerCase();
-  const mentionsSymptom =
-    symptomNames.length === 0 ||
-    symptomNames.some((name) => recapLower.includes(String(name).toLowerCase()));
-  const mentionsQuestion = question.length === 0 ? true : containsQuestionKeyword(recapLower, question);
-  const isSummaryUnavailable = /summary unavailable|summary not available|unable to summarize/i.test(recapLower);
+    // Jobs live in the memory of the instance that accepted them; one that stopped updating was lost to a restart.
+    const unfinished = job.status === "queued" || job.status === "running";
+    const tracked = runningAnalysisJobs.has(ref.id) || analysisJobQueue.some((queued) => queued.jobId === ref.id);
+    if (unfinished && !tracked && Date.now() - timestampToMillis(job.updatedAt) > AI_JOB_STALE_MS) {
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      await ref.update({
+        status: "failed",
+        error: "Analysis was interrupted. Please submit it again.",
+        updatedAt: now,
+        completedAt: now
+      });
+      snapshot = await ref.get();
+    }
 
-  if (!mentionsSymptom || !mentionsQuestion || recap.trim().length < 8 || isSummaryUnavailable) {
-    response.recap = fallback.recap;
-  }
-  if (!Array.isArray(response.suggestions) || response.suggestions.length === 0) {
-    response.suggestions = fallback.suggestions;
-  }
-  if (!Array.isArray(response.questionsForClinician) || response.questionsForClinician.length === 0) {
-    response.questionsForClinician = fallback.questionsForClinician;
-  }
-  if (!response.disclaimer || response.disclaimer.length < 20) {
-    response.disclaimer = fallback.disclaimer;
-  }
-  if (response.disclaimer && !/emergency number/i.test(response.disclaimer)) {
-    response.disclaimer = response.disclaimer.trim() + " If you think this may be an emergency, call your local emergency number.";
+    return res.json(serializeAnalysisJob(snapshot));
+  } catch (err) {
+    return res.status(err?.statusCode || 500).json({ error: err?.message || "Unable to load analysis job." });
   }
-  if (!Array.isArray(response.redFlags)) {
-    response.redFlags = [];
+});
+
+function conversationError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+async function getOwnedConversation(uid, conversationId) {
+  const ref = firestore.collection(AI_CONVERSATIONS_COLLECTION).doc(String(conversationId));
+  const snapshot = await ref.get();
+  if (!snapshot.exists) {
+    throw conversationError("Conversation not found.", 404);
   }
-  if (!Array.isArray(response.patterns) || response.patterns.length === 0) {
-    response.patterns = fallback.patterns ?? [];
-  } else {
-    response.patterns = sanitizeList(response.patterns);
+  if (snapshot.data()?.userId !== uid) {
+    throw conversationError("You cannot access this conversation.", 403);
   }
-  response.questionsForClinician = sanitizeList(response.questionsForClinician);
-  response.suggestions = sanitizeList(response.suggestions);
-  return response;
+  return { ref, data: snapshot.data() };
 }
 
-function containsQuestionKeyword(recapLower, question) {
-  const cleaned = question.toLowerCase().replace(/[^a-z0-9\\s]/g, " ");
-  const keywords = cleaned.split(/\\s+/).filter((word) => word.length >= 4);
-  if (keywords.length === 0) {
-    return recapLower.includes(cleaned.trim());
+// A new conversation is only a draft until appendConversationTurn stores its first turn.
+async function loadOrStartConversation(uid, conversationId, firstQuestion) {
+  if (conversationId) {
+    return getOwnedConversation(uid, conversationId);
   }
-  return keywords.some((word) => recapLower.includes(word));
+  const ref = firestore.collection(AI_CONVERSATIONS_COLLECTION).doc();
+  const data = {
+    id: ref.id,
+    userId: uid,
+    title: String(firstQuestion || "New conversation").split("\n")[0].slice(0, 80),
+    summary: "",
+    summarizedCount: 0,
+    messageCount: 0
+  };
+  return { ref, data, isNew: true };
 }
 
-function sanitizeList(list) {
-  if (!Array.isArray(list)) return [];
-  return list
-    .map((item) => (typeof item === "string" ? item.trim() : ""))
-    .filter((item) => item.length > 0)
-    .slice(0, 8);
+async function buildConversationHistory(conversation) {
+  const snapshot = await conversation.ref
+    .collection("messages")
+    .orderBy("seq", "desc")
+    .limit(CONVERSATION_CONTEXT_MESSAGES)
+    .get();
+  const recent = snapshot.docs
+    .map((doc) => doc.data())
+    .reverse()
+    .map((message) => ({
+      role: message.role,
+      content: message.content,
+      ...(message.response?.crisis ? { crisis: true } : {})
+    }));
+  if (!conversation.data.summary) return recent;
+  return [
+    {
+      role: "user",
+      content: `Excerpts from earlier in our conversation (first sentence of each message):\n${conversation.data.summary}`,
+      digest: true
+    },
+    ...recent
+  ];
 }
 
-function buildFallbackFromPayload(payload) {
-  if (!payload || !Array.isArray(payload.entries)) return null;
-  const entries = payload.entries;
-  const timeframe = payload.timeframe;
-  const medicalContext = payload.medicalContext || null;
-  const uniqueSymptoms = Array.from(
-    new Set(entries.map((entry) => entry.symptomType).filter(Boolean))
-  );
-  const triggers = Array.from(
-    new Set(entries.flatMap((entry) => entry.triggers || []).filter(Boolean))
-  );
-  const recapParts = [];
-  if (payload?.userQuestion) {
-    const cleaned = String(payload.userQuestion).split("\n")[0].slice(0, 140);
-    recapParts.push(`You asked: ${cleaned}.`);
-  }
-  if (uniqueSymptoms.length > 0) {
-    recapParts.push(`You logged: ${uniqueSymptoms.join(", ")}.`);
+function summarizeConversationMessage(message) {
+  const text = String(message.content || "").replace(/\s+/g, " ").trim();
+  const firstSentence = text.match(/^.*?[.!?](\s|$)/)?.[0]?.trim() || text;
+  return `${message.role === "assistant" ? "Assistant noted" : "User asked"}: ${firstSentence.slice(0, 200)}`;
+}
+
+// Folds messages that have left the verbatim context window into the stored summary. This is truncation, not a
+// model-written summary: each message keeps its first sentence, and the oldest lines drop off past the size cap.
+async function rollConversationSummary(conversationRef) {
+  const snapshot = await conversationRef.get();
+  const data = snapshot.data() || {};
+  const foldable = (data.messageCount || 0) - (data.summarizedCount || 0) - CONVERSATION_CONTEXT_MESSAGES;
+  if (foldable < CONVERSATION_SUMMARY_BATCH) return;
+
+  const messagesSnapshot = await conversationRef
+    .collection("messages")
+    .where("seq", ">=", data.summarizedCount || 0)
+    .orderBy("seq", "asc")
+    .limit(foldable)
+    .get();
+  const lines = [data.summary, ...messagesSnapshot.docs.map((doc) => summarizeConversationMessage(doc.data()))]
+    .filter(Boolean)
+    .join("\n")
+    .split("\n");
+  while (lines.join("\n").length > CONVERSATION_SUMMARY_MAX_CHARS && lines.length > 1) {
+    lines.shift();
   }
-  if (entries.length > 0) {
-    const severities = entries.map((entry) => entry.severity).filter((value) => typeof value === "number");
-    if (severities.length > 0) {
-      const avg = severities.reduce((sum, value) => sum + value, 0) / severities.length;
-      recapParts.push(`Average severity: ${avg.toFixed(1)}/10.`);
+  await conversationRef.update({
+    summary: lines.join("\n"),
+    summarizedCount: (data.summarizedCount || 0) + messagesSnapshot.size
+  });
+}
+
+async function appendConversationTurn(conversation, userContent, response) {
+  await firestore.runTransaction(async (transaction) => {
+    const snapshot = conversation.isNew ? null : await transaction.get(conversation.ref);
+    const seq = snapshot?.data()?.messageCount || 0;
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const userRef = conversation.ref.collection("messages").doc();
+    const assistantRef = conversation.ref.collection("messages").doc();
+    transaction.set(userRef, { id: userRef.id, seq, role: "user", content: userContent, createdAt: now });
+    transaction.set(assistantRef, {
+      id: assistantRef.id,
+      seq: seq + 1,
+      role: "assistant",
+      content: response.recap || "",
+      response,
+      createdAt: now
+    });
+    if (conversation.isNew) {
+      transaction.set(conversation.ref, { ...conversation.data, messageCount: 2, createdAt: now, updatedAt: now });
+    } else {
+      transaction.update(conversation.ref, { messageCount: seq + 2, updatedAt: now });
     }
+  });
+  conversation.isNew = false;
+  try {
+    await rollConversationSummary(conversation.ref);
+  } catch (err) {
+    console.warn("Failed to summarize conversation:", err?.message || err);
   }
-  if (timeframe?.start && timeframe?.end) {
-    recapParts.push(`Timeframe: ${timeframe.start} to ${timeframe.end}.`);
-  }
-  if (medicalContext) {
-    const contextualSignals = [
-      medicalContext.chronicConditions,
-      medicalContext.currentMedications,
-      medicalContext.allergies
-    ]
-      .filter(Boolean)
-      .map((value) => String(value).trim())
-      .filter((value) => value.length > 0);
-    if (contextualSignals.length > 0) {
-      recapParts.push("I also considered your medical profile context while interpreting these logs.");
+}
+
+function wantsEventStream(req) {
+  const flag = String(req.query?.stream || "").toLowerCase();
+  if (flag === "1" || flag === "true") return true;
+  return String(req.headers.accept || "").includes("text/event-stream");
+}
+
+function startEventStream(req, res) {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders();
+  let open = true;
+  req.on("close", () => {
+    open = false;
+  });
+  return {
+    send(event, data) {
+      if (!open) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (open) res.end();
     }
-  }
-  if (recapParts.length === 0) {
-    recapParts.push(`You asked: ${payload.userQuestion || "Analyze my logs."}`);
-  }
+  };
+}
 
-  const patterns = [];
-  if (uniqueSymptoms.length > 0) {
-    patterns.push(`Symptoms logged: ${uniqueSymptoms.join(", ")}.`);
+const CRISIS_CONTEXT_MESSAGES = 2;
+const crisisResources = loadCrisisResources(CRISIS_RESOURCES_PATH);
+
+function loadCrisisResources(filePath) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const keywords = {};
+    for (const category of ["emergency", "crisis"]) {
+      const phrases = (parsed.keywords?.[category] || []).map((phrase) => normalizeCrisisText(phrase)).filter(Boolean);
+      keywords[category] = phrases.length
+        ? new RegExp(`(^|[^\\p{L}\\p{N}])(${phrases.map(escapeRegExp).join("|")})(?=$|[^\\p{L}\\p{N}])`, "iu")
+        : null;
+    }
+    if (!parsed.languages?.en) {
+      throw new Error("English crisis text is missing.");
+    }
+    console.log(`Loaded crisis resources version ${parsed.version || "unversioned"} (${Object.keys(parsed.regions || {}).length} regions).`);
+    return {
+      version: String(parsed.version || "unversioned"),
+      keywords,
+      regions: parsed.regions || {},
+      fallbackCrisisLine: parsed.fallbackCrisisLine || null,
+      languages: parsed.languages
+    };
+  } catch (err) {
+    console.warn(`Failed to load crisis resources from ${filePath}:`, err?.message || err);
+    return null;
   }
-  if (triggers.length > 0) {
-    patterns.push(`Possible triggers noted: ${triggers.join(", ")}.`);
+}
+
+function normalizeCrisisText(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[‘’ʼ]/g, "'")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// The current question plus the latest user turns, stopping at the last crisis reply so one event is not re-flagged every turn.
+// The digest of older turns is not something the user just said, so it never counts.
+function recentCrisisTexts(question, history) {
+  const texts = [question];
+  for (let index = history.length - 1; index >= 0 && texts.length <= CRISIS_CONTEXT_MESSAGES; index -= 1) {
+    const message = history[index];
+    if (message.role === "assistant" && message.crisis) break;
+    if (message.digest) continue;
+    if (message.role === "user") texts.push(message.content);
   }
-  if (medicalContext?.recentHealthHistory?.length) {
-    patterns.push(`Recent health history entries were considered (${medicalContext.recentHealthHistory.length} records).`);
+  return texts;
+}
+
+function classifyCrisis(texts) {
+  if (!crisisResources) return null;
+  const matched = {};
+  for (const text of texts) {
+    const normalized = normalizeCrisisText(text);
+    for (const [category, pattern] of Object.entries(crisisResources.keywords)) {
+      const match = pattern?.exec(normalized);
+      if (match) {
+        matched[category] = [...new Set([...(matched[category] || []), match[2]])];
+      }
+    }
   }
+  const category = matched.emergency ? "emergency" : matched.crisis ? "crisis" : null;
+  return category ? { category, matched: [...(matched.emergency || []), ...(matched.crisis || [])] } : null;
+}
 
-  const suggestions = [
-    "Continue logging when symptoms start, how long they last, and any possible triggers.",
-    "If symptoms feel severe or rapidly worsening, consider urgent medical care."
+const CRISIS_LANGUAGE_NAMES = { english: "en", spanish: "es", español: "es", french: "fr", français: "fr" };
+
+function crisisLanguage(payload) {
+  const preferred = String(payload.preferredLanguage || "").trim().toLowerCase();
+  const candidates = [
+    CRISIS_LANGUAGE_NAMES[preferred],
+    preferred.slice(0, 2),
+    String(payload.locale || "").slice(0, 2).toLowerCase()
   ];
-  if (medicalContext?.currentMedications) {
-    suggestions.push("Because medications are listed in your profile, ask a pharmacist to review for possible interaction or side-effect overlap.");
-  }
+  return candidates.find((code) => code && crisisResources.languages[code]) || "en";
+}
+
+function crisisRegion(locale) {
+  const region = String(locale || "").match(/[-_]([A-Za-z]{2})(?:$|[-_@.])/)?.[1]?.toUpperCase();
+  return region && crisisResources.regions[region] ? region : null;
+}
 
+function buildCrisisResponse(classification, payload) {
+  const language = crisisLanguage(payload);
+  const text = crisisResources.languages[language];
+  const region = crisisRegion(payload.locale);
+  const regionInfo = region ? crisisResources.regions[region] : {};
+  const emergencyNumber = regionInfo.emergencyNumber || text.localEmergencyNumber;
+  const fill = (value) => String(value || "").replaceAll("{emergencyNumber}", emergencyNumber);
+  const copy = text[classification.category];
+  const crisisLines = regionInfo.crisisLines?.length
+    ? regionInfo.crisisLines
+    : [crisisResources.fallbackCrisisLine].filter(Boolean);
   return {
-    recap: recapParts.join(" "),
-    patterns,
-    suggestions,
-    redFlags: [],
-    questionsForClinician: [
-      "What additional details should I track about these symptoms?",
-      "Are there warning signs specific to this symptom I should watch for?"
+    recap: fill(copy.recap),
+    patterns: [],
+    suggestions: [...copy.suggestions.map(fill), ...crisisLines.map((line) => `${line.name}: ${line.contact}`)],
+    redFlags: [
+      { title: copy.flagTitle, whyItMatters: copy.whyItMatters, action: fill(text.action), severity: "critical" }
     ],
-    disclaimer:
-      "This app provides informational pattern-based insights only and does not provide medical diagnosis. If you think this may be an emergency, call your local emergency number."
+    urgency: { level: "emergency", rationale: copy.rationale },
+    questionsForClinician: [],
+    disclaimer: text.disclaimer,
+    crisis: {
+      category: classification.category,
+      matched: classification.matched,
+      language,
+      region,
+      emergencyNumber: regionInfo.emergencyNumber || null,
+      crisisLines,
+      resourcesVersion: crisisResources.version
+    }
   };
 }
 
-app.post("/ai/analyze", ensureFirebase, async (req, res) => {
-  let payload;
+async function sendCrisisResponse(req, res, { user, payload, conversation, crisis, responseId }) {
+  // buildUserPayload defaults preferredLanguage to English, so only an explicit choice should outrank the locale.
+  const language = { locale: payload.locale, preferredLanguage: req.body.request?.preferredLanguage };
+  const result = { ...buildCrisisResponse(crisis, language), responseId, conversationId: conversation.ref.id };
+  const usage = createUsageRecord();
+  usage.fallbackReason = `crisis_${crisis.category}`;
+  const redacted = redactPayload(payload, [], { user });
+  logAIRequest({
+    provider: "crisis",
+    endpoint: "/ai/chat",
+    payload: redacted.payload,
+    response: result,
+    success: true,
+    error: null,
+    uid: user.uid,
+    usage,
+    responseId
+  });
+  const escalation = await resolveEscalation(user, req.body, { payload, response: result, endpoint: "/ai/chat" });
+  if (escalation) result.escalation = escalation;
+  await recordAIResponse(user, {
+    responseId,
+    endpoint: "/ai/chat",
+    provider: "crisis",
+    payload,
+    response: result,
+    conversationId: conversation.ref.id,
+    reviewReasons: ["crisis"]
+  });
+  await appendConversationTurn(conversation, payload.userQuestion, result).catch((err) => {
+    console.warn("Failed to store conversation turn:", err?.message || err);
+  });
+  if (wantsEventStream(req)) {
+    const stream = startEventStream(req, res);
+    stream.send("result", result);
+    return stream.end();
+  }
+  return res.json(result);
+}
+
+app.post("/ai/chat", ensureFirebase, async (req, res) => {
+  let user;
+  let redacted;
+  let quota;
+  let stream = null;
   try {
-    await verifyFirebaseUserFromRequest(req);
-    payload = buildUserPayload(req.body.request);
-    let result;
-    if (AI_PROVIDER === "gemini") {
-      const contents = [
-        {
-          role: "user",
-          parts: [
-            {
-              text:
-                "User question: " +
-                (payload.userQuestion || "Analyze my logs") +
-                "\n\nPayload:\n" +
-                JSON.stringify(payload)
-            }
-          ]
+    user = await verifyFirebaseUserFromRequest(req);
+    const fieldErrors = validateAIRequestBody(req.body, { chat: true, attachments: false });
+    if (fieldErrors.length) {
+      return sendValidationErrors(res, fieldErrors);
+    }
+    const payload = buildUserPayload(req.body.request);
+    const conversation = await loadOrStartConversation(user.uid, req.body.conversationId, payload.userQuestion);
+    const history = await buildConversationHistory(conversation);
+    const responseId = crypto.randomUUID();
+    // Emergency and crisis messages skip the model and the quota, so help is never delayed or refused.
+    const crisis = classifyCrisis(recentCrisisTexts(payload.userQuestion, history));
+    if (crisis) {
+      return sendCrisisResponse(req, res, { user, payload, conversation, crisis, responseId });
+    }
+    quota = await consumeAIQuota(user);
+    setQuotaHeaders(res, quota);
+    if (quota.exceeded) {
+      return sendQuotaExceeded(res, quota);
+    }
+    redacted = redactPayload(payload, history, { user });
+    const turns = {
+      payload: redacted.payload,
+      history: redacted.history,
+      mockScenario: req.get("x-mock-ai-scenario")
+    };
+    let outcome;
+    if (wantsEventStream(req)) {
+      stream = startEventStream(req, res);
+      const recapStream = createPlaceholderStreamRestorer(redacted.vault, (delta) => stream.send("recap", { delta }));
+      outcome = await generateWithFailover(turns, {
+        onRecapDelta: (delta) => recapStream.push(delta),
+        onReset: () => {
+          recapStream.reset();
+          stream.send("reset", {});
         }
-      ];
-      result = await callGemini(contents, payload);
+      });
+      recapStream.flush();
     } else {
-      const input = [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: JSON.stringify(payload) }
-      ];
-      result = normalizeAIResponse(await callOpenAI(input), payload);
+      outcome = await generateWithFailover(turns);
     }
-    logAIRequest({ provider: AI_PROVIDER, endpoint: "/ai/analyze", payload, response: result, success: true });
-    res.json(result);
-  } catch (error) {
     logAIRequest({
-      provider: AI_PROVIDER,
-      endpoint: "/ai/analyze",
+      provider: outcome.provider || "fallback",
+      endpoint: "/ai/chat",
+      payload: redacted.payload,
+      response: outcome.result,
+      success: Boolean(outcome.provider),
+      error: outcome.errorDetail,
+      uid: user.uid,
+      usage: outcome.usage,
+      responseId
+    });
+    if (!outcome.provider) {
+      await refundAIQuota(res, quota);
+    }
+    recordMedicationSafety(user.uid, payload);
+    // A conversation is created by its first model answer; a local fallback does not start one.
+    const keepTurn = Boolean(outcome.provider) || !conversation.isNew;
+    const conversationId = keepTurn ? conversation.ref.id : null;
+    const result = {
+      ...restorePlaceholders(outcome.result, redacted.vault),
+      responseId,
+      conversationId
+    };
+    const escalation = await resolveEscalation(user, req.body, { payload, response: result, endpoint: "/ai/chat" });
+    if (escalation) result.escalation = escalation;
+    await recordAIResponse(user, {
+      responseId,
+      endpoint: "/ai/chat",
+      provider: outcome.provider || "fallback",
       payload,
-      response: null,
-      success: false,
-      error: error.message || "Server error"
+      response: result,
+      conversationId
     });
-    res.status(500).json({ error: error.message || "Server error" });
-  }
-});
-
-app.post("/ai/chat", ensureFirebase, async (req, res) => {
-  let payload;
-  try {
-    await verifyFirebaseUserFromRequest(req);
-    payload = buildUserPayload(req.body.request);
-    const messages = Array.isArray(req.body.messages) ? req.body.messages : [];
-    const trimmedMessages = messages.slice(-6);
-    let result;
-    if (AI_PROVIDER === "gemini") {
-      const contents = [
-        ...trimmedMessages.map((message) => ({
-          role: message.role === "assistant" ? "model" : "user",
-          parts: [{ text: message.content }]
-        })),
-        {
-          role: "user",
-          parts: [
-            {
-              text:
-                "User question: " +
-                (payload.userQuestion || "Analyze my logs") +
-                "\n\nPayload:\n" +
-                JSON.stringify(payload)
-            }
-          ]
-        }
-      ];
-      result = await callGemini(contents, payload);
-    } else {
-      const input = [
-        { role: "system", content: systemPrompt },
-        ...trimmedMessages.map((message) => ({
-          role: message.role === "assistant" ? "assistant" : "user",
-          content: message.content
-        })),
-        { role: "user", content: JSON.stringify(payload) }
-      ];
-      result = normalizeAIResponse(await callOpenAI(input), payload);
-    }
-    logAIRequest({ provider: AI_PROVIDER, endpoint: "/ai/chat", payload, response: result, success: true });
+    if (keepTurn) {
+      await appendConversationTurn(conversation, payload.userQuestion, result).catch((err) => {
+        console.warn("Failed to store conversation turn:", err?.message || err);
+      });
+    }
+    if (stream) {
+      stream.send("result", result);
+      return stream.end();
+    }
     res.json(result);
   } catch (error) {
+    await refundAIQuota(res, quota).catch(() => {});
     logAIRequest({
-      provider: AI_PROVIDER,
+      provider: AI_PROVIDER_CHAIN[0],
       endpoint: "/ai/chat",
-      payload,
+      payload: redacted?.payload ?? null,
       response: null,
       success: false,
-      error: error.message || "Server error"
+      error: error.message || "Server error",
+      uid: user?.uid
+    });
+    if (stream) {
+      stream.send("error", { error: error.message || "Server error" });
+      return stream.end();
+    }
+    res.status(error.statusCode || 500).json({ error: error.message || "Server error" });
+  }
+});
+
+app.get("/ai/conversations", ensureFirebase, async (req, res) => {
+  try {
+    const user = await verifyFirebaseUserFromRequest(req);
+    const snapshot = await firestore
+      .collection(AI_CONVERSATIONS_COLLECTION)
+      .where("userId", "==", user.uid)
+      .limit(200)
+      .get();
+    const conversations = snapshot.docs
+      .map((doc) => {
+        const { summary, ...rest } = serializeDoc(doc);
+        return { ...rest, updatedAtMillis: timestampToMillis(doc.data()?.updatedAt) || null };
+      })
+      .sort((left, right) => (right.updatedAtMillis || 0) - (left.updatedAtMillis || 0));
+    return res.json({ conversations });
+  } catch (err) {
+    const statusCode = err?.statusCode || 500;
+    return res.status(statusCode).json({ error: err?.message || "Unable to load conversations." });
+  }
+});
+
+app.get("/ai/conversations/:id", ensureFirebase, async (req, res) => {
+  try {
+    const user = await verifyFirebaseUserFromRequest(req);
+    const conversation = await getOwnedConversation(user.uid, req.params.id);
+    const snapshot = await conversation.ref.collection("messages").orderBy("seq", "asc").get();
+    return res.json({
+      conversation: { id: conversation.ref.id, ...serializeValue(conversation.data) },
+      messages: snapshot.docs.map(serializeDoc)
     });
-    res.status(500).json({ error: error.message || "Server error" });
+  } catch (err) {
+    const statusCode = err?.statusCode || 500;
+    return res.status(statusCode).json({ error: err?.message || "Unable to load conversation." });
+  }
+});
+
+app.delete("/ai/conversations/:id", ensureFirebase, async (req, res) => {
+  try {
+    const user = await verifyFirebaseUserFromRequest(req);
+    const conversation = await getOwnedConversation(user.uid, req.params.id);
+    const deletedMessages = await deleteCollectionDocs(conversation.ref.collection("messages"));
+    await conversation.ref.delete();
+    return res.json({ ok: true, deletedMessages });
+  } catch (err) {
+    const statusCode = err?.statusCode || 500;
+    return res.status(statusCode).json({ error: err?.message || "Unable to delete conversation." });
+  }
+});
+
+app.post("/ai/responses/:id/feedback", ensureFirebase, async (req, res) => {
+  try {
+    const user = await verifyFirebaseUserFromRequest(req);
+    const rating = String(req.body?.rating || "");
+    const comment = String(req.body?.comment || "")
+      .trim()
+      .slice(0, 1000);
+    if (!AI_FEEDBACK_RATINGS.has(rating)) {
+      return res.status(400).json({ error: "Rating must be \"up\" or \"down\"." });
+    }
+
+    const ref = firestore.collection(AI_RESPONSES_COLLECTION).doc(req.params.id);
+    const snapshot = await ref.get();
+    if (!snapshot.exists) {
+      return res.status(404).json({ error: "AI response not found." });
+    }
+    const current = snapshot.data() || {};
+    if (current.userId !== user.uid) {
+      return res.status(403).json({ error: "You cannot rate this response." });
+    }
+
+    const update = {
+      feedback: { rating, comment, ratedAt: new Date().toISOString() },
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    if (rating === "down") {
+      update.reviewStatus = "pending";
+      update.reviewReasons = admin.firestore.FieldValue.arrayUnion("negative_feedback");
+    }
+    await ref.update(update);
+    recordAIFeedback(user, req.params.id, { rating, comment });
+
+    return res.json({ ok: true });
+  } catch (err) {
+    const statusCode = err?.statusCode || 500;
+    return res.status(statusCode).json({ error: err?.message || "Unable to submit feedback." });
   }
 });
 
@@ -1552,7 +6829,57 @@ app.get("/health", (_req, res) => {
 
 const HOST = process.env.HOST || "0.0.0.0";
 
-app.listen(PORT, HOST, () => {
-  console.log(`Symptom Nerd backend listening on http://${HOST}:${PORT}`);
-  console.log(`AI provider: ${AI_PROVIDER}`);
-});
+// The tests in test/ import helpers from this file, so the server only starts when it is run directly.
+const isMainModule = Boolean(process.argv[1]) && path.resolve(process.argv[1]) === __filename;
+
+if (isMainModule) {
+  app.listen(PORT, HOST, () => {
+    console.log(`Symptom Nerd backend listening on http://${HOST}:${PORT}`);
+    console.log(`AI provider chain: ${AI_PROVIDER_CHAIN.join(" -> ")}`);
+    if (initFirebaseAdmin()) {
+      failOrphanedAnalysisJobs().catch((err) => {
+        console.warn("Failed to clean up interrupted analysis jobs:", err?.message || err);
+      });
+      const sweepPharmacistSessions = () =>
+        deleteExpiredPharmacistSessions().catch((err) => {
+          console.warn("Failed to delete expired console sessions:", err?.message || err);
+        });
+      sweepPharmacistSessions();
+      setInterval(sweepPharmacistSessions, PHARMACIST_SESSION_SWEEP_MS).unref();
+      // Each sweep is scheduled after the previous one finishes, so slow sweeps never overlap.
+      const sweepAssignments = () =>
+        releaseStaleAssignments()
+          .catch((err) => {
+            console.warn("Failed to release stale session assignments:", err?.message || err);
+          })
+          .finally(() => setTimeout(sweepAssignments, ASSIGNMENT_SWEEP_INTERVAL_MS).unref());
+      sweepAssignments();
+      const refreshSearchIndex = () =>
+        refreshSessionSearchIndex()
+          .catch((err) => {
+            console.warn("Failed to refresh the session search index:", err?.message || err);
+          })
+          .finally(() => setTimeout(refreshSearchIndex, SESSION_INDEX_REFRESH_MS).unref());
+      refreshSearchIndex();
+    }
+  });
+}
+
+export {
+  sanitizeUrgency,
+  applyUrgencyFloor,
+  csvCell,
+  compareSessionOrder,
+  pageAfterCursor,
+  encodeSessionCursor,
+  decodeSessionCursor,
+  base32Encode,
+  base32Decode,
+  totpCode,
+  matchTotpStep,
+  guardText,
+  applyOutputGuard,
+  createGuardedRecapStream,
+  classifyCrisis,
+  recentCrisisTexts
+};
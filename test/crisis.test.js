@@ -0,0 +1,29 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { classifyCrisis, recentCrisisTexts } from "../server.js";
+
+test("classifyCrisis flags crisis language and reports the matched phrases", () => {
+  assert.deepEqual(classifyCrisis(["Some days I   want to DIE."]), { category: "crisis", matched: ["want to die"] });
+  assert.equal(classifyCrisis(["Je n’arrive pas à respirer"]).category, "emergency");
+});
+
+test("classifyCrisis ranks an emergency above a crisis across texts", () => {
+  const result = classifyCrisis(["I feel suicidal", "and now I can’t breathe"]);
+  assert.equal(result.category, "emergency");
+  assert.deepEqual(result.matched, ["can't breathe", "suicidal"]);
+});
+
+test("classifyCrisis ignores ordinary symptom text", () => {
+  assert.equal(classifyCrisis(["My headache is killing me", "I've been chasing my breath after stairs"]), null);
+  assert.equal(classifyCrisis([]), null);
+});
+
+test("recentCrisisTexts stops at the last crisis reply and skips the digest", () => {
+  const history = [
+    { role: "user", content: "I want to die" },
+    { role: "assistant", content: "Please call...", crisis: true },
+    { role: "user", content: "Excerpts...", digest: true },
+    { role: "user", content: "Thanks, I feel safer now" }
+  ];
+  assert.deepEqual(recentCrisisTexts("What about my cough?", history), ["What about my cough?", "Thanks, I feel safer now"]);
+});
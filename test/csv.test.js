@@ -0,0 +1,23 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { csvCell } from "../server.js";
+
+test("csvCell quotes every value and doubles embedded quotes", () => {
+  assert.equal(csvCell('say "hi", then leave'), '"say ""hi"", then leave"');
+  assert.equal(csvCell("line one\nline two"), '"line one\nline two"');
+  assert.equal(csvCell(42), '"42"');
+});
+
+test("csvCell writes missing values as empty cells and objects as JSON", () => {
+  assert.equal(csvCell(null), '""');
+  assert.equal(csvCell(undefined), '""');
+  assert.equal(csvCell({ role: "admin" }), '"{""role"":""admin""}"');
+});
+
+test("csvCell neutralises spreadsheet formulas", () => {
+  for (const value of ["=HYPERLINK(\"http://x\")", "+1+1", "-2", "@SUM(A1)", "\tcmd", "\rcmd"]) {
+    assert.equal(csvCell(value).slice(0, 2), `"'`);
+  }
+  assert.equal(csvCell("plain text"), '"plain text"');
+  assert.equal(csvCell("a=b"), '"a=b"');
+});
@@ -0,0 +1,74 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { guardText, applyOutputGuard, createGuardedRecapStream } from "../server.js";
+
+const guard = (text) => guardText(text, "recap", []);
+
+test("guardText softens a definitive diagnosis", () => {
+  assert.equal(guard("You have pneumonia."), "This may be consistent with pneumonia, which only a clinician can confirm.");
+  assert.equal(
+    guard("I think this is a sinus infection, so rest."),
+    "I think this may be consistent with sinus infection, which only a clinician can confirm, so rest."
+  );
+  assert.equal(guard("It is bronchitis"), "This may be consistent with bronchitis, which only a clinician can confirm");
+});
+
+test("guardText leaves sentences that only mention a condition unchanged", () => {
+  for (const text of [
+    "It has been a week since your migraine started.",
+    "This is worse after each bout of flu.",
+    "If it is flu, rest and drink fluids.",
+    "This is an asthma attack plan you can share with your GP.",
+    "It is not an infection you can spread."
+  ]) {
+    assert.equal(guard(text), text);
+  }
+});
+
+test("guardText drops dosage instructions", () => {
+  assert.equal(guard("Take 400 mg of ibuprofen every 6 hours."), null);
+  assert.equal(guard("You could try ibuprofen 200 mg with food."), null);
+  assert.equal(guard("Use 2 puffs twice a day."), null);
+});
+
+test("guardText keeps everyday advice with numbers", () => {
+  for (const text of [
+    "Drink 500 ml of water a day more.",
+    "Start a diary and log 2 tablets whenever you take them.",
+    "Try 250 ml of water with each meal.",
+    "Your headaches lasted 3 days on average."
+  ]) {
+    assert.equal(guard(text), text);
+  }
+});
+
+test("guardText drops prescription advice unless it points to a clinician", () => {
+  assert.equal(guard("You need antibiotics for this."), null);
+  const referred = "Ask your pharmacist whether you should stop taking your medication.";
+  assert.equal(guard(referred), referred);
+});
+
+test("applyOutputGuard records hits and refills an emptied field", () => {
+  const { response, hits } = applyOutputGuard(
+    { recap: "Take 400 mg every 6 hours.", patterns: ["Worse in the mornings."], suggestions: ["Rest."] },
+    { entries: [] }
+  );
+  assert.equal(hits.length, 1);
+  assert.equal(hits[0].ruleId, "dosage-instructions");
+  assert.ok(response.recap.length > 0);
+  assert.deepEqual(response.patterns, ["Worse in the mornings."]);
+});
+
+test("createGuardedRecapStream sends only guarded, complete sentences", () => {
+  const deltas = [];
+  const stream = createGuardedRecapStream((delta) => deltas.push(delta));
+  const recap = "Your pain peaks at night. Take 400 mg of ibuprofen every 6 hours. You have a migraine.";
+  for (let i = 0; i < recap.length; i += 7) {
+    stream.push(recap.slice(i, i + 7));
+  }
+  assert.deepEqual(deltas, ["Your pain peaks at night."]);
+  const sent = stream.flush();
+  assert.equal(sent, "Your pain peaks at night. This may be consistent with migraine, which only a clinician can confirm.");
+  assert.equal(deltas.join(""), sent);
+  assert.equal(sent, applyOutputGuard({ recap, patterns: [], suggestions: [] }, { entries: [] }).response.recap);
+});
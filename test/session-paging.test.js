@@ -0,0 +1,47 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { compareSessionOrder, pageAfterCursor, encodeSessionCursor, decodeSessionCursor } from "../server.js";
+
+const sessions = [
+  { id: "a", updatedAtMs: 300 },
+  { id: "c", updatedAtMs: 200 },
+  { id: "b", updatedAtMs: 200 },
+  { id: "d", updatedAtMs: 100 }
+].sort(compareSessionOrder);
+
+test("compareSessionOrder sorts newest first and breaks ties by id descending", () => {
+  assert.deepEqual(sessions.map((entry) => entry.id), ["a", "c", "b", "d"]);
+});
+
+test("pageAfterCursor returns the first page and whether more follow", () => {
+  const { page, hasMore } = pageAfterCursor(sessions, null, 2);
+  assert.deepEqual(page.map((entry) => entry.id), ["a", "c"]);
+  assert.equal(hasMore, true);
+});
+
+test("pageAfterCursor continues after the cursor, including across equal timestamps", () => {
+  const { page, hasMore } = pageAfterCursor(sessions, sessions[1], 2);
+  assert.deepEqual(page.map((entry) => entry.id), ["b", "d"]);
+  assert.equal(hasMore, false);
+});
+
+test("pageAfterCursor resumes from where a cursor that dropped out of the list would sit", () => {
+  const { page } = pageAfterCursor(sessions, { id: "bb", updatedAtMs: 200 }, 5);
+  assert.deepEqual(page.map((entry) => entry.id), ["b", "d"]);
+  assert.deepEqual(pageAfterCursor(sessions, { id: "z", updatedAtMs: 50 }, 5), { page: [], hasMore: false });
+});
+
+test("session cursors keep the microsecond timestamp and the id, even with underscores", () => {
+  const cursor = decodeSessionCursor(encodeSessionCursor(1760000000123456, "abc_def"));
+  assert.equal(cursor.id, "abc_def");
+  assert.equal(cursor.updatedAtMs, 1760000000123);
+  assert.equal(cursor.updatedAt.seconds, 1760000000);
+  assert.equal(cursor.updatedAt.nanoseconds, 123456000);
+});
+
+test("decodeSessionCursor rejects cursors that are not a timestamp and an id", () => {
+  assert.equal(decodeSessionCursor(null), null);
+  for (const cursor of ["abc", "_abc", "12_", "1.5_abc"]) {
+    assert.throws(() => decodeSessionCursor(cursor), { statusCode: 400 });
+  }
+});
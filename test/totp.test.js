@@ -0,0 +1,43 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { base32Encode, base32Decode, totpCode, matchTotpStep } from "../server.js";
+
+// RFC 6238 appendix B uses the ASCII secret "12345678901234567890" for SHA-1.
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+test("base32Encode matches the RFC 4648 vectors without padding", () => {
+  const vectors = { "": "", f: "MY", fo: "MZXQ", foo: "MZXW6", foob: "MZXW6YQ", fooba: "MZXW6YTB", foobar: "MZXW6YTBOI" };
+  for (const [plain, encoded] of Object.entries(vectors)) {
+    assert.equal(base32Encode(Buffer.from(plain)), encoded);
+  }
+  assert.equal(RFC_SECRET, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+});
+
+test("base32Decode ignores case, spaces and padding", () => {
+  assert.equal(base32Decode("mzxw 6ytb oi======").toString(), "foobar");
+  assert.equal(base32Decode(RFC_SECRET).toString(), "12345678901234567890");
+});
+
+test("totpCode matches the RFC 6238 SHA-1 vectors truncated to six digits", () => {
+  const vectors = {
+    59: "287082",
+    1111111109: "081804",
+    1111111111: "050471",
+    1234567890: "005924",
+    2000000000: "279037",
+    20000000000: "353130"
+  };
+  for (const [time, code] of Object.entries(vectors)) {
+    assert.equal(totpCode(RFC_SECRET, Math.floor(Number(time) / 30)), code);
+  }
+});
+
+test("matchTotpStep accepts one step of drift and never reuses a step", () => {
+  const step = Math.floor(Date.now() / 1000 / 30);
+  assert.equal(matchTotpStep(RFC_SECRET, totpCode(RFC_SECRET, step)), step);
+  assert.equal(matchTotpStep(RFC_SECRET, totpCode(RFC_SECRET, step + 1)), step + 1);
+  assert.equal(matchTotpStep(RFC_SECRET, totpCode(RFC_SECRET, step + 3)), null);
+  assert.equal(matchTotpStep(RFC_SECRET, totpCode(RFC_SECRET, step), step), null);
+  assert.equal(matchTotpStep(RFC_SECRET, "12345"), null);
+  assert.equal(matchTotpStep(null, "123456"), null);
+});
@@ -0,0 +1,34 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { sanitizeUrgency, applyUrgencyFloor } from "../server.js";
+
+test("sanitizeUrgency normalises known levels and rejects unknown ones", () => {
+  assert.deepEqual(sanitizeUrgency({ level: " Self_Care ", rationale: "Mild." }), { level: "self-care", rationale: "Mild." });
+  assert.equal(sanitizeUrgency("clinician").level, "clinician");
+  assert.equal(sanitizeUrgency({ level: "urgent" }), null);
+  assert.equal(sanitizeUrgency(null), null);
+});
+
+test("applyUrgencyFloor keeps a model level at or above the local floor", () => {
+  const urgency = { level: "emergency", rationale: "Model said so." };
+  assert.equal(applyUrgencyFloor(urgency, [{ title: "Drug interaction", severity: "moderate" }]), urgency);
+  assert.equal(applyUrgencyFloor({ level: "monitor", rationale: "Keep tracking." }, []).level, "monitor");
+});
+
+test("applyUrgencyFloor raises a lower model level and names the findings", () => {
+  const raised = applyUrgencyFloor({ level: "self-care", rationale: "Rest." }, [
+    { title: "Chest pain", severity: "critical" },
+    { title: "Bleeding risk", severity: "moderate" }
+  ]);
+  assert.equal(raised.level, "emergency");
+  assert.match(raised.rationale, /Raised to emergency by local safety checks: Chest pain\./);
+});
+
+test("applyUrgencyFloor lets a flag's own urgency override its severity", () => {
+  const raised = applyUrgencyFloor(null, [{ title: "Allergy conflict", severity: "critical", urgency: "pharmacist" }]);
+  assert.equal(raised.level, "pharmacist");
+});
+
+test("applyUrgencyFloor falls back to the lowest level without a model level or findings", () => {
+  assert.equal(applyUrgencyFloor(null, []).level, "self-care");
+});